@@ -1,7 +1,7 @@
 const { AbstractArtifactAdapter } = require('@0xproject/sol-cov');
-const globby = require('globby');
 const path = require('path');
 const fs = require('fs');
+const { readArtifacts, findArtifact } = require('./artifacts');
 
 /**
  * note: This depends on @0xproject/sol-cov v2-prototype branch which hasn't been released yet.
@@ -13,7 +13,8 @@ const fs = require('fs');
  */
 module.exports.default = class SolcpilerArtifactAdapter extends AbstractArtifactAdapter {
   /**
-   * @param {string} artifactsPath Path to the directory containing the solcpiler artifacts
+   * @param {string} artifactsPath Path to the directory containing the artifacts, in any of
+   *                               the artifact formats
    * @param {string|array} excludes (optional) regEx or array of regExs to test the source
    *                                    against. If it matches, it will be excluded from the
    *                                    coverage report.
@@ -27,45 +28,64 @@ module.exports.default = class SolcpilerArtifactAdapter extends AbstractArtifact
   }
 
   async collectContractsDataAsync() {
-    const contracts = [];
-    globby.sync(path.join(this.artifactsPath, '*.json')).forEach((file) => {
-      const {
-        compilerOutput,
-        source: artifactSource,
-        sources: artifactSources,
-      } = require(require.resolve(file, { paths: [process.cwd()] }));
+    return readArtifacts(this.artifactsPath)
+      .map(({ artifact }) => this.contractData(artifact))
+      .filter(c => c);
+  }
 
-      if (this.excludes.some(p => p.test(artifactSource))) return;
+  /**
+   * @param {string} name the contract name, or the fully qualified source:Contract name if
+   *                      the name isn't unique
+   * @returns {object} the contract data of a single contract, or undefined if the
+   *                   contract is excluded
+   */
+  async getContractDataAsync(name) {
+    const { artifact } = findArtifact(readArtifacts(this.artifactsPath), name);
+    return this.contractData(artifact);
+  }
 
-      if (compilerOutput.abi && compilerOutput.evm.bytecode.object.length > 0) {
-        const sourceCodes = [];
-        const sources = [];
+  /**
+   * converts an artifact to the sol-cov contract data, or undefined if it's excluded
+   */
+  contractData(artifact) {
+    const {
+      compilerOutput,
+      source: artifactSource,
+      sources: artifactSources,
+    } = artifact;
 
-        Object.keys(artifactSources).forEach((sourceFile) => {
-          const source = artifactSources[sourceFile];
+    if (this.excludes.some(p => p.test(artifactSource))) return undefined;
+    if (!compilerOutput.abi || compilerOutput.evm.bytecode.object.length === 0) return undefined;
 
-          // check if we should exclude the file from coverage report
-          if (this.excludes.some(p => p.test(source.file))) return;
+    const sourceCodes = [];
+    const sources = [];
 
-          if (!this.sources[sourceFile]) {
-            this.sources[sourceFile] = fs.readFileSync(source.file).toString();
-          }
+    Object.keys(artifactSources).forEach((sourceFile) => {
+      const source = artifactSources[sourceFile];
 
-          sourceCodes[source.id] = this.sources[sourceFile];
-          sources[source.id] = path.isAbsolute(sourceFile) || sourceFile.startsWith('.') ? sourceFile : source.file;
-        });
+      // check if we should exclude the file from coverage report
+      if (this.excludes.some(p => p.test(source.file))) return;
+      // truffle artifacts only record the source id if they include the ast
+      if (source.id === undefined) return;
 
-        contracts.push({
-          bytecode: compilerOutput.evm.bytecode.object,
-          sourceMap: compilerOutput.evm.bytecode.sourceMap,
-          runtimeBytecode: compilerOutput.evm.deployedBytecode.object,
-          sourceMapRuntime: compilerOutput.evm.deployedBytecode.sourceMap,
-          sourceCodes,
-          sources,
-        });
+      // truffle & hardhat artifacts include the source content
+      if (!this.sources[sourceFile]) {
+        this.sources[sourceFile] = source.content !== undefined
+          ? source.content
+          : fs.readFileSync(source.file).toString();
       }
+
+      sourceCodes[source.id] = this.sources[sourceFile];
+      sources[source.id] = path.isAbsolute(sourceFile) || sourceFile.startsWith('.') ? sourceFile : source.file;
     });
 
-    return contracts;
+    return {
+      bytecode: compilerOutput.evm.bytecode.object,
+      sourceMap: compilerOutput.evm.bytecode.sourceMap,
+      runtimeBytecode: compilerOutput.evm.deployedBytecode.object,
+      sourceMapRuntime: compilerOutput.evm.deployedBytecode.sourceMap,
+      sourceCodes,
+      sources,
+    };
   }
 };
@@ -0,0 +1,209 @@
+const abiCoder = require('web3-eth-abi');
+const { findArtifact } = require('./artifacts');
+
+/**
+ * converts a command line argument to a value the abi coder accepts for the type
+ */
+const parseArg = (arg, type) => {
+  if (typeof arg !== 'string') return arg;
+  if (type.endsWith(']') || type.startsWith('tuple')) return JSON.parse(arg);
+  if (type === 'bool') return arg === 'true';
+  return arg;
+};
+
+const formatInputs = inputs => inputs.map(i => `${i.type}${i.name ? ` ${i.name}` : ''}`).join(', ');
+
+/**
+ * abi encodes the constructor arguments of a contract
+ *
+ * @param {array} abi the contract abi
+ * @param {array} args the constructor arguments. Strings are converted to the parameter type,
+ *                     arrays & tuples are parsed as JSON
+ * @returns {string} the encoded arguments as hex, w/o 0x
+ */
+const encodeConstructorArgs = (abi, args = []) => {
+  const constructor = abi.find(d => d.type === 'constructor');
+  const inputs = constructor ? constructor.inputs : [];
+
+  if (args.length !== inputs.length) {
+    throw new Error(`The constructor expects ${inputs.length} arguments (${formatInputs(inputs)}), but got ${args.length}`);
+  }
+  if (inputs.length === 0) return '';
+
+  const values = args.map((a, i) => parseArg(a, inputs[i].type));
+  return abiCoder.encodeParameters(inputs.map(i => i.type), values).slice(2);
+};
+
+/**
+ * @returns {string} the canonical type of an abi parameter, w/ tuples expanded
+ */
+const canonicalType = (param) => {
+  if (!param.type.startsWith('tuple')) return param.type;
+  return `(${param.components.map(canonicalType).join(',')})${param.type.slice('tuple'.length)}`;
+};
+
+/**
+ * @param {object} item a function, event or error of an abi
+ * @returns {string} the canonical signature, ex. transfer(address,uint256)
+ */
+const signature = item => `${item.name}(${(item.inputs || []).map(canonicalType).join(',')})`;
+
+const SELECTOR_KINDS = { function: 'functions', event: 'events', error: 'errors' };
+
+/**
+ * maps the 4 byte selector of every function & custom error, & the topic of every event to the
+ * contracts declaring it. Anonymous events have no topic, so they are omitted
+ *
+ * @param {array} artifacts list of { artifact }, see artifacts.readArtifacts
+ * @returns {object} { functions, events, errors }, each mapping a selector or topic to a list of
+ *                   { contract: source:Contract, signature, inputs }
+ */
+const selectorRegistry = artifacts => artifacts.reduce((registry, { artifact }) => {
+  const contract = `${artifact.source}:${artifact.contractName}`;
+
+  (artifact.compilerOutput.abi || [])
+    .filter(item => Object.keys(SELECTOR_KINDS).includes(item.type || 'function') && !item.anonymous)
+    .forEach((item) => {
+      const sig = signature(item);
+      const selector = item.type === 'event'
+        ? abiCoder.encodeEventSignature(sig)
+        : abiCoder.encodeFunctionSignature(sig);
+      const entries = registry[SELECTOR_KINDS[item.type || 'function']];
+      const entry = { contract, signature: sig, inputs: item.inputs || [] };
+      entries[selector] = (entries[selector] || []).concat(entry);
+    });
+
+  return registry;
+}, { functions: {}, events: {}, errors: {} });
+
+const functionSelectors = abi => abi.filter(item => (item.type || 'function') === 'function')
+  .reduce((val, item) => {
+    const sig = signature(item);
+    const selector = abiCoder.encodeFunctionSignature(sig);
+    return Object.assign(val, {
+      [selector]: Array.from(new Set((val[selector] || []).concat(sig))),
+    });
+  }, {});
+
+/**
+ * finds functions of a proxy w/ the same selector as a function of its implementations, which
+ * the proxy would shadow. solc already rejects a contract whose own or inherited functions
+ * clash, so only the proxies are checked
+ *
+ * @param {array} artifacts list of { artifact }, see artifacts.readArtifacts
+ * @param {object} proxies maps proxy contract names to the names of their implementations.
+ *                         Names are contract names or source:Contract names
+ * @returns {array} list of { selector, contracts, signatures }
+ */
+const selectorCollisions = (artifacts, proxies = {}) => {
+  const name = artifact => `${artifact.source}:${artifact.contractName}`;
+  const abi = artifact => artifact.compilerOutput.abi || [];
+
+  return Object.keys(proxies).reduce((val, proxyName) => {
+    const proxy = findArtifact(artifacts, proxyName).artifact;
+    const proxySelectors = functionSelectors(abi(proxy));
+
+    return val.concat(...proxies[proxyName].map((implName) => {
+      const impl = findArtifact(artifacts, implName).artifact;
+      const implSelectors = functionSelectors(abi(impl));
+      return Object.keys(proxySelectors).filter(s => implSelectors[s]).map(selector => ({
+        selector,
+        contracts: [name(proxy), name(impl)],
+        signatures: Array.from(new Set(proxySelectors[selector].concat(implSelectors[selector]))),
+      }));
+    }));
+  }, []);
+};
+
+/**
+ * validates the proxies option
+ */
+const validateProxies = (proxies) => {
+  if (proxies === undefined) return;
+  const invalid = typeof proxies !== 'object' || Array.isArray(proxies) ||
+    Object.keys(proxies).some(p => !Array.isArray(proxies[p]) || proxies[p].some(i => typeof i !== 'string'));
+  if (invalid) {
+    throw new Error('proxies must map each proxy contract to a list of its implementation contracts');
+  }
+};
+
+// the decoded values keyed by parameter name, or position if unnamed
+const decodedArgs = (inputs, values) => inputs.reduce((val, input, i) =>
+  Object.assign(val, { [input.name || String(i)]: values[i] }), {});
+
+/**
+ * decodes the calldata of a function call, or the revert data of a custom error
+ *
+ * @param {object} registry see selectorRegistry
+ * @param {string} hex the calldata
+ * @returns {object} { type: function or error, selector, signature, contracts: the contracts
+ *                   declaring it, args: the decoded arguments by name }
+ */
+const decodeCalldata = (registry, hex) => {
+  const data = hex.startsWith('0x') ? hex : `0x${hex}`;
+  const selector = data.slice(0, 10).toLowerCase();
+  const type = registry.functions[selector] ? 'function' : 'error';
+  const entries = registry[SELECTOR_KINDS[type]][selector];
+  if (!entries) throw new Error(`Unknown selector ${selector}`);
+
+  // the entries may have different signatures on a selector collision, or parameter names
+  const decoded = entries.map((entry) => {
+    try {
+      return { entry, values: abiCoder.decodeParameters(entry.inputs, `0x${data.slice(10)}`) };
+    } catch (e) {
+      return undefined;
+    }
+  }).find(d => d);
+  if (!decoded) throw new Error(`The calldata doesn't match ${entries.map(e => e.signature).join(' or ')}`);
+
+  return {
+    type,
+    selector,
+    signature: decoded.entry.signature,
+    contracts: entries.filter(e => e.signature === decoded.entry.signature).map(e => e.contract),
+    args: decodedArgs(decoded.entry.inputs, decoded.values),
+  };
+};
+
+/**
+ * decodes an event log
+ *
+ * @param {object} registry see selectorRegistry
+ * @param {object} log { topics, data } as returned by eth_getLogs or in a receipt
+ * @returns {object} { topic, signature, contracts: the contracts declaring it, args: the decoded
+ *                   arguments by name }
+ */
+const decodeLog = (registry, log) => {
+  const [topic, ...indexed] = log.topics || [];
+  const entries = topic && registry.events[topic.toLowerCase()];
+  if (!entries) throw new Error(`Unknown event topic ${topic}`);
+
+  // events w/ the same signature may index different parameters
+  const decoded = entries.map((entry) => {
+    if (entry.inputs.filter(i => i.indexed).length !== indexed.length) return undefined;
+    try {
+      return { entry, values: abiCoder.decodeLog(entry.inputs, log.data || '0x', indexed) };
+    } catch (e) {
+      return undefined;
+    }
+  }).find(d => d);
+  if (!decoded) throw new Error(`The log doesn't match ${entries.map(e => e.signature).join(' or ')}`);
+
+  return {
+    topic: topic.toLowerCase(),
+    signature: decoded.entry.signature,
+    contracts: entries.filter(e => e.signature === decoded.entry.signature).map(e => e.contract),
+    args: decodedArgs(decoded.entry.inputs, decoded.values),
+  };
+};
+
+module.exports = {
+  encodeConstructorArgs,
+  canonicalType,
+  signature,
+  selectorRegistry,
+  selectorCollisions,
+  validateProxies,
+  decodeCalldata,
+  decodeLog,
+};
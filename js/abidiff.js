@@ -0,0 +1,228 @@
+const fs = require('fs');
+const { readArtifacts, readGitArtifacts } = require('./artifacts');
+const { canonicalType, signature } = require('./abi');
+
+// the order of the state mutabilities, from the most to the least restrictive
+const MUTABILITIES = ['pure', 'view', 'nonpayable', 'payable'];
+
+const types = params => (params || []).map(canonicalType).join(',');
+
+// abis before solc 0.4.16 only include constant & payable
+const mutability = (item) => {
+  if (item.stateMutability) return item.stateMutability;
+  if (item.constant) return 'view';
+  return item.payable ? 'payable' : 'nonpayable';
+};
+
+const eventSignature = item => `${item.name}(${(item.inputs || [])
+  .map(i => `${canonicalType(i)}${i.indexed ? ' indexed' : ''}`).join(',')})${item.anonymous ? ' anonymous' : ''}`;
+
+const describe = (item) => {
+  switch (item.type) {
+    case 'event':
+      return `event ${eventSignature(item)}`;
+    case 'constructor':
+      return `constructor(${types(item.inputs)})`;
+    case 'fallback':
+    case 'receive':
+      return item.type;
+    default:
+      return `function ${signature(item)}`;
+  }
+};
+
+const change = (kind, item, message) => ({ kind, item: describe(item), message });
+
+/**
+ * callers that send value or don't send a tx break w/ a more restrictive mutability
+ */
+const mutabilityChange = (prev, next) => {
+  const [a, b] = [mutability(prev), mutability(next)];
+  if (a === b) return [];
+
+  const breaking = (a === 'payable') ||
+    (MUTABILITIES.indexOf(a) < 2 && MUTABILITIES.indexOf(b) >= 2);
+  return [change(breaking ? 'breaking' : 'additive', next, `mutability changed (${a} -> ${b})`)];
+};
+
+const diffFunctions = (prevAbi, nextAbi) => {
+  const fns = abi => abi.filter(d => (d.type || 'function') === 'function');
+  const prev = fns(prevAbi);
+  const next = fns(nextAbi);
+  const find = (list, item) => list.find(d => signature(d) === signature(item));
+
+  const removed = prev.filter(p => !find(next, p));
+  const added = next.filter(n => !find(prev, n));
+  const matched = [];
+
+  const changes = removed.map((p) => {
+    // an overload w/ the same name, or a single function w/ the same types, replaces it
+    const sameName = added.filter(n => n.name === p.name && !matched.includes(n));
+    const sameTypes = added.filter(n => !matched.includes(n) &&
+      types(n.inputs) === types(p.inputs) && types(n.outputs) === types(p.outputs));
+
+    if (sameName.length === 1) {
+      matched.push(sameName[0]);
+      return change('breaking', p, `parameter types changed (${types(p.inputs)} -> ${types(sameName[0].inputs)})`);
+    }
+    if (sameName.length === 0 && sameTypes.length === 1) {
+      matched.push(sameTypes[0]);
+      return change('breaking', p, `renamed to ${sameTypes[0].name}`);
+    }
+    return change('breaking', p, 'removed');
+  });
+
+  added.filter(n => !matched.includes(n)).forEach(n => changes.push(change('additive', n, 'added')));
+
+  prev.filter(p => find(next, p)).forEach((p) => {
+    const n = find(next, p);
+    if (types(p.outputs) !== types(n.outputs)) {
+      changes.push(change('breaking', n, `return types changed (${types(p.outputs)} -> ${types(n.outputs)})`));
+    }
+    changes.push(...mutabilityChange(p, n));
+  });
+
+  return changes;
+};
+
+const diffEvents = (prevAbi, nextAbi) => {
+  const prev = prevAbi.filter(d => d.type === 'event');
+  const next = nextAbi.filter(d => d.type === 'event');
+  const find = (list, item) => list.find(d => eventSignature(d) === eventSignature(item));
+
+  const removed = prev.filter(p => !find(next, p));
+  const added = next.filter(n => !find(prev, n));
+  const matched = [];
+
+  const changes = removed.map((p) => {
+    const sameName = added.filter(n => n.name === p.name && !matched.includes(n));
+    if (sameName.length !== 1) return change('breaking', p, 'removed');
+
+    const [n] = sameName;
+    matched.push(n);
+    if (types(n.inputs) === types(p.inputs) && Boolean(n.anonymous) === Boolean(p.anonymous)) {
+      return change('breaking', p, `indexed flags changed (${eventSignature(n)})`);
+    }
+    return change('breaking', p, `signature changed (${eventSignature(n)})`);
+  });
+
+  added.filter(n => !matched.includes(n)).forEach(n => changes.push(change('additive', n, 'added')));
+  return changes;
+};
+
+// the constructor, fallback & receive functions
+const diffSpecial = (prevAbi, nextAbi) => ['constructor', 'fallback', 'receive'].reduce((val, type) => {
+  const p = prevAbi.find(d => d.type === type);
+  const n = nextAbi.find(d => d.type === type);
+
+  if (p && !n) return val.concat(change('breaking', p, 'removed'));
+  if (!p && n) return val.concat(change(type === 'constructor' ? 'breaking' : 'additive', n, 'added'));
+  if (!p) return val;
+  if (type === 'constructor' && types(p.inputs) !== types(n.inputs)) {
+    return val.concat(change('breaking', p, `parameter types changed (${types(p.inputs)} -> ${types(n.inputs)})`));
+  }
+  return val.concat(mutabilityChange(p, n));
+}, []);
+
+/**
+ * classifies the changes between 2 versions of a contract's abi. Changes that break existing
+ * callers, ex. removed functions or changed types, are breaking. Others are additive
+ *
+ * @param {array} prevAbi the abi of the baseline
+ * @param {array} nextAbi the new abi
+ * @returns {array} list of { kind: breaking or additive, item: ex. function f(uint256), message }
+ */
+const diffAbi = (prevAbi, nextAbi) => diffSpecial(prevAbi, nextAbi)
+  .concat(diffFunctions(prevAbi, nextAbi), diffEvents(prevAbi, nextAbi));
+
+/**
+ * diffs the abis of the contracts in 2 sets of artifacts
+ *
+ * @param {array} prevArtifacts list of { artifact } of the baseline, see artifacts.readArtifacts
+ * @param {array} nextArtifacts list of { artifact } of the new build
+ * @param {array} sources (optional) the nextArtifacts are only of these sources, ex. the
+ *                       compiled sources of a build. Only the baseline contracts of these
+ *                       sources are diffed & new contracts aren't reported
+ * @returns {array} list of { contract: source:Contract, changes } for each changed contract, see
+ *                  diffAbi
+ */
+const diffArtifacts = (prevArtifacts, nextArtifacts, sources) => {
+  const name = ({ artifact }) => `${artifact.source}:${artifact.contractName}`;
+  const abi = ({ artifact }) => artifact.compilerOutput.abi || [];
+  const byName = list => list.reduce((val, a) => Object.assign(val, { [name(a)]: a }), {});
+  const prev = byName(prevArtifacts.filter(({ artifact }) =>
+    !sources || sources.includes(artifact.source)));
+  const next = byName(nextArtifacts);
+
+  const diffs = Object.keys(next).filter(c => !sources || prev[c]).map((contract) => {
+    if (!prev[contract]) {
+      return { contract, changes: [{ kind: 'additive', item: 'contract', message: 'added' }] };
+    }
+    return { contract, changes: diffAbi(abi(prev[contract]), abi(next[contract])) };
+  });
+
+  const removed = Object.keys(prev).filter(c => !next[c]).map(contract =>
+    ({ contract, changes: [{ kind: 'breaking', item: 'contract', message: 'removed' }] }));
+
+  return diffs.concat(removed).filter(d => d.changes.length > 0);
+};
+
+/**
+ * validates the stableAbi option
+ */
+const validateStableAbi = (stableAbi) => {
+  if (stableAbi === undefined) return;
+  if (!Array.isArray(stableAbi) || stableAbi.some(s => typeof s !== 'string')) {
+    throw new Error('stableAbi must be an array of contract names or source:Contract names');
+  }
+};
+
+/**
+ * reads the artifacts to diff the abis against: the artifacts committed at the abiBaselineRef,
+ * in the abiBaseline dir or else the last build in the outputArtifactsDir
+ *
+ * @param {object} opts solcpiler options
+ * @returns {array} list of { file, artifact }, see artifacts.readArtifacts
+ */
+const readBaseline = (opts) => {
+  if (opts.abiBaselineRef) return readGitArtifacts(opts.abiBaselineRef, opts.outputArtifactsDir);
+  const dir = opts.abiBaseline || opts.outputArtifactsDir;
+  return fs.existsSync(dir) ? readArtifacts(dir) : [];
+};
+
+/**
+ * @param {array} stableAbi the stableAbi option, contract names or source:Contract names
+ * @param {string} contract the source:Contract name
+ */
+const isStable = (stableAbi, contract) => (stableAbi || []).some(s =>
+  s === contract || (!s.includes(':') && contract.endsWith(`:${s}`)));
+
+/**
+ * @param {array} diffs see diffArtifacts
+ * @param {array} stableAbi the stableAbi option
+ * @returns {array} the diffs of stable contracts w/ breaking changes
+ */
+const breakingStableChanges = (diffs, stableAbi) => diffs.filter(d =>
+  isStable(stableAbi, d.contract) && d.changes.some(c => c.kind === 'breaking'));
+
+/**
+ * @param {array} diffs see diffArtifacts
+ * @param {array} stableAbi the stableAbi option. The stable contracts are marked
+ * @returns {string} the changes of each contract, one per line
+ */
+const formatAbiDiff = (diffs, stableAbi) => {
+  if (diffs.length === 0) return 'no abi changes';
+
+  return diffs.map(d => [`${d.contract}${isStable(stableAbi, d.contract) ? ' (stable)' : ''}`]
+    .concat(d.changes.map(c => `  ${c.kind.padEnd(8)}  ${c.item}${c.item === 'contract' ? '' : ':'} ${c.message}`))
+    .join('\n')).join('\n\n');
+};
+
+module.exports = {
+  diffAbi,
+  diffArtifacts,
+  validateStableAbi,
+  readBaseline,
+  breakingStableChanges,
+  formatAbiDiff,
+};
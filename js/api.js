@@ -4,6 +4,22 @@ const globby = require('globby');
 const fs = require('fs');
 const mkdirp = require('mkdirp');
 const Solcpiler = require('./solcpiler');
+const Watcher = require('./watcher');
+const {
+  CompilationError,
+  ContractSizeError,
+  AbiChangeError,
+  SelectorCollisionError,
+  CompilerUnavailableError,
+} = require('./errors');
+const { PROFILE_ENV, mergeOptions, resolveProfile } = require('./profiles');
+const { CompilerCache } = require('./compilers');
+const { RUNTIME_FILES, SELECTORS_FILE } = require('./artifacts');
+const { clean: removeGenerated } = require('./clean');
+const { createBundle, verifyBytecode: verify } = require('./verify');
+const { diffArtifacts, readBaseline } = require('./abidiff');
+const { readArtifacts } = require('./artifacts');
+const { decodeCalldata: decodeData, decodeLog: decode } = require('./abi');
 
 const checkDirectoryExists = (dir, createdir, cb) => {
   fs.stat(dir, (err, stats) => {
@@ -21,16 +37,21 @@ const checkDirectoryExists = (dir, createdir, cb) => {
   });
 };
 
-const compile = (opts, cb) => {
-  globby(opts.input).then(files => {
-
-    const solcpiler = new Solcpiler(opts, files);
-    solcpiler.compile();
-    cb();
-  })
-  .catch(console.err);
+/**
+ * calls the optional node style cb w/ the outcome of the promise
+ *
+ * @returns {Promise} the provided promise
+ */
+const withCallback = (promise, cb) => {
+  if (cb) promise.then(res => cb(null, res), cb);
+  return promise;
 };
 
+const compile = opts => globby(opts.input).then((files) => {
+  const solcpiler = new Solcpiler(opts, files);
+  return solcpiler.compile();
+});
+
 const copyFile = (source, target, cb) => {
   let cbCalled = false;
 
@@ -55,22 +76,86 @@ const copyFile = (source, target, cb) => {
   rd.pipe(wr);
 };
 
-const run = (opts, cb) => {
+const copyContractsJs = (opts, cb) => async.eachSeries(RUNTIME_FILES, (f, cb2) => {
+  copyFile(path.join(__dirname, f), path.join(opts.outputArtifactsDir, f), cb2);
+}, cb);
+
+/**
+ * compiles all sources matching opts.input
+ *
+ * @param {object} opts solcpiler options
+ * @param {function} cb (optional) called w/ (err, result)
+ * @returns {Promise} resolves w/ { compiled, skipped, stale, artifacts, warnings, diagnostics,
+ *                    suppressed, sizes, abiChanges, pruned }, where compiled & skipped are
+ *                    the root sources, stale maps each compiled source to the reason it
+ *                    needed to be, artifacts are the paths of the generated artifact files,
+ *                    warnings the solc warnings, diagnostics the solc errors & warnings w/
+ *                    their file, line & column, suppressed the number of warnings suppressed
+ *                    by opts.warnings, sizes the bytecode sizes & gas estimates of the
+ *                    compiled contracts,
+ *                    abiChanges the abi changes of the compiled contracts w/ opts.abiCheck
+ *                    or opts.stableAbi & pruned the paths of the stale files removed.
+ *                    Rejects w/ a CompilationError if solc reports any errors, or any
+ *                    warnings w/ opts.warnings.asErrors, w/ a ContractSizeError if a contract
+ *                    exceeds opts.sizeLimit, w/ an AbiChangeError if a contract in
+ *                    opts.stableAbi has breaking abi changes & w/ a SelectorCollisionError
+ *                    if functions of a contract, or of a proxy in opts.proxies & its
+ *                    implementations, have the same selector
+ */
+const run = (opts, cb) => withCallback(new Promise((resolve, reject) => {
+  let result;
+  // a dry run only reports what would be compiled, so nothing is written
+  const write = task => (cb2 => (opts.dryRun ? cb2() : task(cb2)));
+
   async.series([
-    (cb2) => {
+    write((cb2) => {
       checkDirectoryExists(opts.outputSolDir, opts.createdir, cb2);
+    }),
+    write((cb2) => {
+      checkDirectoryExists(opts.outputArtifactsDir, opts.createdir, cb2);
+    }),
+    (cb2) => {
+      compile(opts).then((res) => {
+        result = res;
+        cb2();
+      }, cb2);
     },
+    write((cb2) => {
+      copyContractsJs(opts, cb2);
+    }),
+  ], err => (err ? reject(err) : resolve(result)));
+}), cb);
+
+/**
+ * compiles all sources and then keeps the process alive, recompiling the sources affected
+ * by any change.
+ *
+ * @param {object} opts solcpiler options
+ * @param {function} cb (optional) called w/ (err, watcher)
+ * @returns {Promise} resolves w/ the watcher once the initial build has finished.
+ *                    Call watcher.close() to stop watching
+ */
+const watch = (opts, cb) => withCallback(new Promise((resolve, reject) => {
+  async.series([
     (cb2) => {
-      checkDirectoryExists(opts.outputArtifactsDir, opts.createdir, cb2);
+      checkDirectoryExists(opts.outputSolDir, opts.createdir, cb2);
     },
     (cb2) => {
-      compile(opts, cb2);
+      checkDirectoryExists(opts.outputArtifactsDir, opts.createdir, cb2);
     },
     (cb2) => {
-      copyFile(path.join(__dirname, 'contracts.js'), path.join(opts.outputArtifactsDir, 'contracts.js'), cb2);
+      copyContractsJs(opts, cb2);
     },
-  ], cb);
-};
+  ], (err) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+
+    const watcher = new Watcher(opts);
+    watcher.start().then(() => resolve(watcher), reject);
+  });
+}), cb);
 
 const readConfigFile = (filename, cb) => {
   if (!filename) {
@@ -105,15 +190,196 @@ if (fs.existsSync('./contracts')) {
   optsDefault.input = ['./src/**/*.sol'];
 }
 
-const runFromConfigFile = (configFile, overloadOpts, cb) => {
-  readConfigFile(configFile, (err, optsFile) => {
-    if (err) return cb();
-    if (optsFile.insertFileNames && ['all', 'none', 'imports'].includes(optsFile.insertFileNames)) return cb();
-    const opts = Object.assign(optsDefault, optsFile, overloadOpts);
-    run(opts, cb);
-    return null;
+/**
+ * reads the options from configFile and overloads them w/ overloadOpts. The profile selected
+ * by overloadOpts.profile, or else the SOLCPILER_PROFILE env var, overloads the options of
+ * the config file, see profiles.resolveProfile
+ *
+ * @returns {Promise} resolves w/ the options
+ */
+const loadOptions = (configFile, overloadOpts = {}) => new Promise((resolve, reject) => {
+  readConfigFile(configFile, (err, config) => {
+    if (err) {
+      reject(err);
+      return;
+    }
+    let optsFile;
+    try {
+      optsFile = resolveProfile(config, overloadOpts.profile || process.env[PROFILE_ENV]);
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    if (optsFile.insertFileNames && !['all', 'none', 'imports'].includes(optsFile.insertFileNames)) {
+      reject(new Error(`Invalid insertFileNames: ${optsFile.insertFileNames}`));
+      return;
+    }
+    resolve(mergeOptions(Object.assign({}, optsDefault, optsFile), overloadOpts));
   });
+});
+
+/**
+ * reads the options from configFile, overloads them w/ overloadOpts and runs solcpiler. See
+ * loadOptions for the selection of the profile
+ *
+ * @returns {Promise} see run & watch
+ */
+const runFromConfigFile = (configFile, overloadOpts, cb) => withCallback(
+  loadOptions(configFile, overloadOpts).then(opts => (opts.watch ? watch(opts) : run(opts))),
+  cb,
+);
+
+/**
+ * flattens a source & its imports into a single source, w/o compiling
+ *
+ * @param {string} file the source to flatten
+ * @param {object} opts (optional) solcpiler options. The insertFileNames, remappings &
+ *                      includePaths are used
+ * @param {function} cb (optional) called w/ (err, flattened)
+ * @returns {Promise} resolves w/ the flattened source
+ */
+const flatten = (file, opts = {}, cb) => withCallback(
+  Promise.resolve().then(() => new Solcpiler(opts, [file]).flatten(file)),
+  cb,
+);
+
+/**
+ * creates a bundle to verify a contract on a block explorer w/, from its artifact &
+ * verification files
+ *
+ * @param {object} opts solcpiler options. opts.outputArtifactsDir is the artifacts dir
+ * @param {string} name the contract name, or the fully qualified source:Contract name
+ * @param {array} args (optional) the constructor arguments to abi encode
+ * @returns {Promise} resolves w/ the bundle, see verify.createBundle
+ */
+const verifyBundle = (opts, name, args) => Promise.resolve()
+  .then(() => createBundle(opts.outputArtifactsDir, name, args));
+
+/**
+ * compares deployed runtime bytecode to a contract's artifact
+ *
+ * @param {object} opts solcpiler options. opts.outputArtifactsDir is the artifacts dir
+ * @param {string} name the contract name, or the fully qualified source:Contract name
+ * @param {string} bytecode the deployed runtime bytecode as hex
+ * @returns {Promise} resolves w/ the result, see verify.verifyBytecode
+ */
+const verifyBytecode = (opts, name, bytecode) => Promise.resolve()
+  .then(() => verify(opts.outputArtifactsDir, name, bytecode));
+
+/**
+ * recompiles a contract from its artifact w/ the recorded compiler version & settings, and
+ * compares the bytecode to the artifact's
+ *
+ * @param {object} opts solcpiler options. Set opts.embedded to use the sources embedded in the
+ *                      verification input instead of the files on disk
+ * @param {string} artifactFile the path of the artifact
+ * @returns {Promise} resolves w/ the result, see Solcpiler.rebuild
+ */
+const rebuild = (opts, artifactFile) => Promise.resolve()
+  .then(() => new Solcpiler(opts, []).rebuild(artifactFile));
+
+/**
+ * generates the NatSpec docs of all contracts, w/o writing any artifacts
+ *
+ * @param {object} opts solcpiler options. The docs are written to opts.docsDir. Default: ./docs
+ * @returns {Promise} resolves w/ { files, missing }, see Solcpiler.docs
+ */
+const docs = opts => globby(opts.input)
+  .then(files => new Solcpiler(opts, files).docs(opts.docsDir || './docs'));
+
+/**
+ * removes all files generated by solcpiler
+ *
+ * @param {object} opts solcpiler options
+ * @returns {Promise} resolves w/ the paths of the removed files
+ */
+const clean = opts => Promise.resolve().then(() => removeGenerated(opts));
+
+/**
+ * diffs the abis of the artifacts in opts.outputArtifactsDir against the artifacts committed
+ * at opts.abiBaselineRef or in the opts.abiBaseline dir
+ *
+ * @param {object} opts solcpiler options
+ * @returns {Promise} resolves w/ the changes of each contract, see abidiff.diffArtifacts
+ */
+const abiDiff = opts => Promise.resolve().then(() => {
+  if (!opts.abiBaselineRef && !opts.abiBaseline) {
+    throw new Error('No abi baseline to diff against. Set abiBaseline to a dir or abiBaselineRef to a git ref');
+  }
+  return diffArtifacts(readBaseline(opts), readArtifacts(opts.outputArtifactsDir));
+});
+
+const readSelectors = (opts) => {
+  const file = path.join(opts.outputArtifactsDir, SELECTORS_FILE);
+  if (!fs.existsSync(file)) throw new Error(`${file} does not exist, compile the contracts first`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
 };
 
+/**
+ * decodes calldata, or the revert data of a custom error, w/ the selector registry of the
+ * last build
+ *
+ * @param {object} opts solcpiler options. opts.outputArtifactsDir is the artifacts dir
+ * @param {string} hex the calldata
+ * @returns {Promise} resolves w/ { type, selector, signature, contracts, args }, see
+ *                    abi.decodeCalldata
+ */
+const decodeCalldata = (opts, hex) => Promise.resolve()
+  .then(() => decodeData(readSelectors(opts), hex));
+
+/**
+ * decodes an event log w/ the selector registry of the last build
+ *
+ * @param {object} opts solcpiler options. opts.outputArtifactsDir is the artifacts dir
+ * @param {object} log { topics, data }
+ * @returns {Promise} resolves w/ { topic, signature, contracts, args }, see abi.decodeLog
+ */
+const decodeLog = (opts, log) => Promise.resolve().then(() => decode(readSelectors(opts), log));
+
+/**
+ * @param {object} opts solcpiler options. opts.compilersDir is the cache dir to use
+ * @returns {Promise} resolves w/ the compilers in the cache as { version, type, file }
+ */
+const listCompilers = opts => Promise.resolve()
+  .then(() => new CompilerCache(opts.compilersDir).list());
+
+/**
+ * adds a compiler to the cache
+ *
+ * @param {object} opts solcpiler options. opts.compilersDir is the cache dir to use
+ * @param {string} source path to a soljson file or native solc binary, or a version to
+ *                        download
+ * @returns {Promise} resolves w/ the added compiler as { version, type, file }
+ */
+const addCompiler = (opts, source) => new CompilerCache(opts.compilersDir).add(source);
+
+/**
+ * removes a compiler version from the cache
+ *
+ * @param {object} opts solcpiler options. opts.compilersDir is the cache dir to use
+ * @returns {Promise} resolves w/ the removed compilers as { version, type, file }
+ */
+const removeCompiler = (opts, version) => Promise.resolve()
+  .then(() => new CompilerCache(opts.compilersDir).remove(version));
+
 module.exports.run = run;
 module.exports.runFromConfigFile = runFromConfigFile;
+module.exports.watch = watch;
+module.exports.loadOptions = loadOptions;
+module.exports.flatten = flatten;
+module.exports.verifyBundle = verifyBundle;
+module.exports.verifyBytecode = verifyBytecode;
+module.exports.rebuild = rebuild;
+module.exports.clean = clean;
+module.exports.docs = docs;
+module.exports.abiDiff = abiDiff;
+module.exports.decodeCalldata = decodeCalldata;
+module.exports.decodeLog = decodeLog;
+module.exports.listCompilers = listCompilers;
+module.exports.addCompiler = addCompiler;
+module.exports.removeCompiler = removeCompiler;
+module.exports.CompilationError = CompilationError;
+module.exports.ContractSizeError = ContractSizeError;
+module.exports.AbiChangeError = AbiChangeError;
+module.exports.SelectorCollisionError = SelectorCollisionError;
+module.exports.CompilerUnavailableError = CompilerUnavailableError;
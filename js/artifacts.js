@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const globby = require('globby');
+const minimatch = require('minimatch');
+const { spawnSync } = require('child_process');
+const { detectFormat, fromArtifact, uniqueArtifacts } = require('./formats');
+
+/**
+ * flat: <outputArtifactsDir>/<Contract>.json
+ * namespaced: <outputArtifactsDir>/<source path>/<Contract>.json
+ */
+const ARTIFACT_LAYOUTS = ['flat', 'namespaced'];
+
+const VERIFY_DIR = 'verify';
+
+// the selector registry of all contracts in the artifacts dir, see abi.selectorRegistry
+const SELECTORS_FILE = 'selectors.json';
+
+// the files copied to the artifacts dir, contracts.js requires the others
+const RUNTIME_FILES = ['contracts.js', 'linker.js', 'formats.js'];
+
+// files in the artifacts dir that aren't artifacts
+const IGNORE = [
+  '**/solcStandardInput*.json',
+  '**/solcStandardOutput*.json',
+  `${VERIFY_DIR}/**`,
+  '**/build-info/**',
+  '**/*.dbg.json',
+  'node_modules/**',
+  SELECTORS_FILE,
+];
+
+/**
+ * @param {string} dir the artifacts dir
+ * @param {string} sourceFile the source declaring the contract
+ * @param {string} contractName
+ * @param {string} layout one of ARTIFACT_LAYOUTS. Default: flat
+ * @returns {string} the path of the artifact file
+ */
+const resolveArtifactFile = (dir, sourceFile, contractName, layout = 'flat') => {
+  if (layout !== 'namespaced') return path.join(dir, `${contractName}.json`);
+
+  // keep artifacts of sources outside of the project inside the artifacts dir
+  const source = path.normalize(sourceFile).replace(/^([/\\]|\.\.[/\\])+/, '');
+  return path.join(dir, source, `${contractName}.json`);
+};
+
+/**
+ * the flattened source is named after the source, in the same layout as its artifacts, ex.
+ * build/Token_all.sol or build/contracts/token/Token.sol/Token_all.sol
+ *
+ * @param {string} dir the outputSolDir
+ * @param {string} sourceFile the root source
+ * @param {string} layout one of ARTIFACT_LAYOUTS. Default: flat
+ * @returns {string} the path of the flattened file
+ */
+const resolveFlattenedFile = (dir, sourceFile, layout = 'flat') => resolveArtifactFile(
+  dir,
+  sourceFile,
+  `${path.basename(sourceFile, '.sol')}_all`,
+  layout,
+).replace(/\.json$/, '.sol');
+
+/**
+ * the verification files of an artifact mirror the artifact's path in the verify dir, ex.
+ * build/Token.json -> build/verify/Token.input.json
+ *
+ * @param {string} dir the artifacts dir
+ * @param {string} artifactFile the path of the artifact
+ * @param {string} kind input or metadata
+ * @returns {string} the path of the verification file
+ */
+const resolveVerifyFile = (dir, artifactFile, kind) =>
+  path.join(dir, VERIFY_DIR, path.relative(dir, artifactFile)).replace(/\.json$/, `.${kind}.json`);
+
+/**
+ * finds the contract names declared in more than 1 source
+ *
+ * @param {object} contracts { sourceFile: [contractName] }
+ * @returns {object} { contractName: [sourceFile] } for each colliding name
+ */
+const findCollisions = (contracts) => {
+  const sourcesByName = Object.keys(contracts).reduce((val, source) =>
+    contracts[source].reduce((v, name) =>
+      Object.assign(v, { [name]: (v[name] || []).concat(source) }), val), {});
+
+  return Object.keys(sourcesByName)
+    .filter(name => sourcesByName[name].length > 1)
+    .reduce((val, name) => Object.assign(val, { [name]: sourcesByName[name] }), {});
+};
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * reads the build info of a hardhat artifact, which its .dbg.json file references
+ *
+ * @param {string} file the path of the artifact
+ * @param {Map} cache the build infos read so far, by path
+ */
+const readBuildInfo = (file, cache) => {
+  const dbg = readJson(file.replace(/\.json$/, '.dbg.json'));
+  if (!dbg || !dbg.buildInfo) return undefined;
+
+  const buildInfoFile = path.resolve(path.dirname(file), dbg.buildInfo);
+  if (!cache.has(buildInfoFile)) cache.set(buildInfoFile, readJson(buildInfoFile));
+  return cache.get(buildInfoFile);
+};
+
+/**
+ * finds the artifact files in dir, in any of the artifact formats
+ *
+ * @returns {array} list of { file, json } where json is the contents of the file
+ */
+const readArtifactFiles = dir => globby.sync('**/*.json', { cwd: dir, ignore: IGNORE })
+  .map((f) => {
+    const file = path.join(dir, f);
+    return { file, json: readJson(file) };
+  })
+  .filter(({ json }) => detectFormat(json));
+
+/**
+ * reads all artifacts in dir, in either layout & any of the artifact formats. The artifacts
+ * are converted to solcpiler artifacts, & a contract written in several formats is only
+ * returned once, see formats.uniqueArtifacts
+ *
+ * @returns {array} list of { file, artifact }
+ */
+const readArtifacts = (dir) => {
+  const buildInfos = new Map();
+
+  return uniqueArtifacts(readArtifactFiles(dir).map(({ file, json }) => {
+    const buildInfo = detectFormat(json) === 'hardhat' ? readBuildInfo(file, buildInfos) : undefined;
+    return { file, artifact: fromArtifact(json, buildInfo) };
+  }));
+};
+
+const git = (args) => {
+  const res = spawnSync('git', args, { encoding: 'utf8', maxBuffer: 512 * 1024 * 1024 });
+  if (res.error) throw res.error;
+  if (res.status !== 0) throw new Error(`git ${args.join(' ')} failed: ${res.stderr.trim()}`);
+  return res.stdout;
+};
+
+/**
+ * reads the artifacts in dir as they were committed at a git ref, see readArtifacts. The build
+ * info of hardhat artifacts isn't read
+ *
+ * @param {string} ref ex. a branch, tag or commit
+ * @param {string} dir the artifacts dir, relative to the cwd
+ * @returns {array} list of { file, artifact }
+ */
+const readGitArtifacts = (ref, dir) => uniqueArtifacts(git(['ls-tree', '-r', '--name-only', ref, '--', dir])
+  .split('\n')
+  .filter(f => f.endsWith('.json') && !IGNORE.some(p => minimatch(path.relative(dir, f), p)))
+  .map((file) => {
+    let json;
+    try {
+      json = JSON.parse(git(['show', `${ref}:./${file}`]));
+    } catch (e) {
+      json = undefined;
+    }
+    return { file, artifact: fromArtifact(json) };
+  })
+  .filter(({ artifact }) => artifact));
+
+/**
+ * finds the artifact of a contract
+ *
+ * @param {array} artifacts list of { file, artifact }, see readArtifacts
+ * @param {string} name the contract name, or the fully qualified source:Contract name
+ * @returns {object} { file, artifact }
+ */
+const findArtifact = (artifacts, name) => {
+  const i = name.lastIndexOf(':');
+  const source = i === -1 ? undefined : name.slice(0, i);
+  const contractName = name.slice(i + 1);
+
+  const matches = artifacts.filter(({ artifact }) =>
+    artifact.contractName === contractName && (!source || artifact.source === source));
+
+  if (matches.length === 0) throw new Error(`No artifact found for ${name}`);
+  if (matches.length > 1) {
+    throw new Error(`${name} is ambiguous, use one of: ${matches.map(({ artifact }) => `${artifact.source}:${contractName}`).join(', ')}`);
+  }
+  return matches[0];
+};
+
+module.exports = {
+  ARTIFACT_LAYOUTS,
+  VERIFY_DIR,
+  SELECTORS_FILE,
+  RUNTIME_FILES,
+  resolveArtifactFile,
+  resolveFlattenedFile,
+  resolveVerifyFile,
+  findCollisions,
+  readArtifactFiles,
+  readArtifacts,
+  readGitArtifacts,
+  findArtifact,
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const globby = require('globby');
+const BuildManifest = require('./manifest');
+const {
+  VERIFY_DIR,
+  SELECTORS_FILE,
+  RUNTIME_FILES,
+  readArtifactFiles,
+} = require('./artifacts');
+const { ARTIFACT_FORMATS } = require('./formats');
+const { resolveFormatDir } = require('./writers');
+
+/**
+ * removes the files that exist, & any dirs inside the roots left empty
+ *
+ * @param {array} files paths of the files to remove
+ * @param {array} roots the output dirs. These are never removed
+ * @returns {array} the removed files
+ */
+const removeFiles = (files, roots) => {
+  const rootDirs = roots.filter(r => r).map(r => path.resolve(r));
+  const inRoot = dir => rootDirs.some(r => dir.startsWith(`${r}${path.sep}`));
+
+  const removed = Array.from(new Set(files)).filter(f => fs.existsSync(f));
+  removed.forEach(f => fs.unlinkSync(f));
+
+  removed.forEach((f) => {
+    let dir = path.dirname(path.resolve(f));
+    while (inRoot(dir) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  });
+
+  return removed;
+};
+
+/**
+ * @param {object} opts solcpiler options
+ * @returns {array} the configured output dirs. The dirs of the artifact formats default to
+ *                  sub dirs of the outputArtifactsDir, which are removed once empty
+ */
+const outputDirs = opts => [opts.outputSolDir, opts.outputArtifactsDir]
+  .concat(Object.keys(opts.artifactFormatDirs || {}).map(f => opts.artifactFormatDirs[f]));
+
+/**
+ * removes all files generated by solcpiler: the artifacts in any format, the verification
+ * files, the flattened sources, the standard-json input & output, the selector registry, the
+ * files copied to the artifacts dir & the manifest
+ *
+ * @param {object} opts solcpiler options
+ * @returns {array} the removed files
+ */
+const clean = (opts) => {
+  const { outputSolDir, outputArtifactsDir } = opts;
+  const manifest = new BuildManifest(outputArtifactsDir);
+  const inDir = (dir, patterns) => globby.sync(patterns, { cwd: dir }).map(f => path.join(dir, f));
+  const dirs = ARTIFACT_FORMATS.map(f => resolveFormatDir(opts, f)).filter(d => fs.existsSync(d));
+
+  const files = manifest.files()
+    .concat(...dirs.map(d => readArtifactFiles(d).map(a => a.file)))
+    .concat(inDir(outputSolDir, ['solcStandardInput*.json', 'solcStandardOutput*.json', '**/*_all.sol']))
+    .concat(inDir(outputArtifactsDir, [`${VERIFY_DIR}/**/*.json`]))
+    .concat(inDir(resolveFormatDir(opts, 'hardhat'), ['**/*.dbg.json', 'build-info/*.json']))
+    .concat(RUNTIME_FILES.concat(SELECTORS_FILE).map(f => path.join(outputArtifactsDir, f)))
+    .concat(manifest.file);
+
+  return removeFiles(files, outputDirs(opts));
+};
+
+module.exports = {
+  removeFiles,
+  outputDirs,
+  clean,
+};
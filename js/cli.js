@@ -1,14 +1,71 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const api = require('./api.js');
+const { formatVerifyResult, formatRebuildResult } = require('./verify');
+const { breakingStableChanges, formatAbiDiff } = require('./abidiff');
+const { bundledSolc } = require('./compilers');
 
 const yargs = require('yargs')
-  .usage('Usage: $0 [options]')
+  .usage('Usage: $0 [command] [options]')
+  .command('flatten <file>', 'Flatten a source & its imports into a single source, w/o compiling', {
+    output: {
+      alias: 'o',
+      describe: 'File to write the flattened source to. Default: stdout',
+      type: 'string',
+    },
+  })
+  .command('verify-bundle <contract>', 'Write the standard-json input, compiler version & abi encoded constructor arguments needed to verify a contract', {
+    args: {
+      describe: 'Constructor arguments. Arrays are given as JSON',
+      type: 'array',
+      string: true,
+    },
+    output: {
+      alias: 'o',
+      describe: 'File to write the bundle to. Default: stdout',
+      type: 'string',
+    },
+  })
+  .command('verify-bytecode <contract> <bytecode>', 'Compare deployed runtime bytecode, read from a hex file or - for stdin, to the artifact of a contract. ' +
+    'Exits w/ 1 if the code differs, or 2 if only the metadata differs')
+  .command('rebuild <artifact>', 'Recompile a contract from its artifact w/ the recorded compiler version & settings, after checking the source hashes. ' +
+    'Exits w/ 1 if the bytecode differs, or 2 if only the metadata differs', {
+    embedded: {
+      describe: 'Use the sources embedded in the verification input instead of the files on disk. Default: false',
+      type: 'boolean',
+    },
+  })
+  .command('abi-diff', 'Classify the abi changes of each contract in the artifacts as breaking or additive, compared to a baseline dir or git ref. ' +
+    'Exits w/ 1 if a stableAbi contract has breaking changes', {
+    baseline: {
+      describe: 'Dir of the baseline artifacts. Default: the abiBaseline config',
+      type: 'string',
+    },
+    ref: {
+      describe: 'Git ref the baseline artifacts are committed at. Default: the abiBaselineRef config',
+      type: 'string',
+    },
+  })
+  .command('docs', 'Generate markdown docs & an index.html w/ the NatSpec, selectors & inheritance of each contract, w/o writing any artifacts', {
+    output: {
+      alias: 'o',
+      describe: 'Dir to write the docs to. Default: the docsDir config, or ./docs',
+      type: 'string',
+    },
+  })
+  .command('clean', 'Remove all generated files: artifacts, verification files, flattened sources, standard-json files & contracts.js')
+  .command('compilers <action> [versions..]', 'Manage the local compiler cache. <action> is list, add or remove. ' +
+    'add accepts versions to download, or paths to soljson files or native solc binaries')
   .option('config-file', {
     alias: 'c',
     describe: 'Config file',
     type: 'string',
   })
+  .option('profile', {
+    describe: 'Profile of the config file to build w/. Default: the SOLCPILER_PROFILE env var',
+    type: 'string',
+  })
   .option('output-sol-dir', {
     describe: 'Output directory where solidity files concatenated without includes will be copied. Default: ./build',
     type: 'string',
@@ -18,9 +75,54 @@ const yargs = require('yargs')
     type: 'string',
   })
   .option('solc-version', {
-    describe: 'Solidity version. Example: v0.4.12+commit.194ff033',
+    describe: 'Solidity version. Example: v0.4.12+commit.194ff033. Default: selected per source from its pragmas',
+    type: 'string',
+  })
+  .option('solc-path', {
+    describe: 'Path to a native solc binary to compile with',
+    type: 'string',
+  })
+  .option('soljson-path', {
+    describe: 'Path to a soljson file to compile with',
+    type: 'string',
+  })
+  .option('compilers-dir', {
+    describe: 'Directory of the local compiler cache. Default: ~/.solcpiler/compilers',
+    type: 'string',
+  })
+  .option('download-compilers', {
+    describe: 'Download the solc-version if it is not available locally, instead of failing. Default: false',
+    type: 'boolean',
+  })
+  .option('artifact-layout', {
+    describe: 'flat: <output-artifacts-dir>/<Contract>.json, namespaced: <output-artifacts-dir>/<source>/<Contract>.json. Default: flat',
     type: 'string',
   })
+  .option('artifact-formats', {
+    describe: 'Artifact formats to write: solcpiler, truffle and/or hardhat. Default: solcpiler',
+    type: 'array',
+  })
+  .option('network', {
+    describe: 'Network whose library addresses (see the libraries config) are linked into the bytecode',
+    type: 'string',
+  })
+  .option('optimizer', {
+    describe: 'Enable the solidity optimizer. Default: true. Use --no-optimizer to disable it',
+    type: 'boolean',
+    default: undefined,
+  })
+  .option('optimizer-runs', {
+    describe: 'Number of optimizer runs. Default: 200',
+    type: 'number',
+  })
+  .option('evm-version', {
+    describe: 'EVM version to compile for. Example: byzantium',
+    type: 'string',
+  })
+  .option('output-selection', {
+    describe: 'Extra compiler outputs to include in the artifacts. Example: evm.gasEstimates devdoc',
+    type: 'array',
+  })
   .option('input', {
     alias: 'i',
     describe: 'Input files that can be compiled. Default: ./contracts/*.sol',
@@ -36,6 +138,30 @@ const yargs = require('yargs')
     choices: ['all', 'none', 'imports'],
     default: 'all'
   })
+  .option('diagnostics-format', {
+    describe: 'Format of the compiler errors & warnings: pretty, json, sarif or checkstyle. Default: pretty',
+    type: 'string',
+  })
+  .option('diagnostics-file', {
+    describe: 'File to write the compiler errors & warnings to, in the diagnostics-format. Default: the console',
+    type: 'string',
+  })
+  .option('warnings-as-errors', {
+    describe: 'Fail the build on any compiler warning that is not suppressed. Default: false',
+    type: 'boolean',
+  })
+  .option('size-limit', {
+    describe: 'Fail the build if the deployed bytecode of a contract exceeds this many bytes. Use 0 to disable. Default: 24576 (EIP-170)',
+    type: 'number',
+  })
+  .option('gas-report', {
+    describe: 'Include the gas estimates of the creation & external functions in the size report. Default: false',
+    type: 'boolean',
+  })
+  .option('abi-check', {
+    describe: 'Print the abi changes of the compiled contracts since the last build, or the abiBaseline. Default: false',
+    type: 'boolean',
+  })
   .option('quiet', {
     alias: 'q',
     describe: 'Silence output and compiler warnings. Default: false',
@@ -46,6 +172,20 @@ const yargs = require('yargs')
     describe: 'verbose output. Default: false',
     type: 'boolean',
   })
+  .option('force', {
+    alias: 'f',
+    describe: 'Recompile all sources, even if they are unchanged. Default: false',
+    type: 'boolean',
+  })
+  .option('dry-run', {
+    describe: 'List the sources that would be compiled and why, w/o compiling. Default: false',
+    type: 'boolean',
+  })
+  .option('watch', {
+    alias: 'w',
+    describe: 'Watch the input files and their imports, and recompile the affected sources on change. Default: false',
+    type: 'boolean',
+  })
   .help()
   .argv
 
@@ -62,16 +202,147 @@ if (yargs.outputJsDir) optsCommandLine.outputJsDir = yargs.outputJsDir;
 if (yargs.outputSolDir) optsCommandLine.outputSolDir = yargs.outputSolDir;
 if (yargs.outputArtifactsDir) optsCommandLine.outputArtifactsDir = yargs.outputArtifactsDir;
 if (yargs.solcVersion) optsCommandLine.solcVersion = yargs.solcVersion;
+if (yargs.solcPath) optsCommandLine.solcPath = yargs.solcPath;
+if (yargs.soljsonPath) optsCommandLine.soljsonPath = yargs.soljsonPath;
+if (yargs.compilersDir) optsCommandLine.compilersDir = yargs.compilersDir;
+if (yargs.downloadCompilers) optsCommandLine.downloadCompilers = yargs.downloadCompilers;
+if (yargs.artifactLayout) optsCommandLine.artifactLayout = yargs.artifactLayout;
+if (yargs.artifactFormats) optsCommandLine.artifactFormats = yargs.artifactFormats;
+if (yargs.network) optsCommandLine.network = yargs.network;
+if (yargs.profile) optsCommandLine.profile = yargs.profile;
 if (yargs.input) optsCommandLine.input = yargs.input;
 if (yargs.createdir) optsCommandLine.createdir = yargs.createdir;
+if (yargs.diagnosticsFormat) optsCommandLine.diagnosticsFormat = yargs.diagnosticsFormat;
+if (yargs.diagnosticsFile) optsCommandLine.diagnosticsFile = yargs.diagnosticsFile;
+if (yargs.warningsAsErrors) optsCommandLine.warnings = { asErrors: true };
+if (yargs.sizeLimit !== undefined) optsCommandLine.sizeLimit = yargs.sizeLimit;
+if (yargs.gasReport) optsCommandLine.gasReport = yargs.gasReport;
+if (yargs.abiCheck) optsCommandLine.abiCheck = yargs.abiCheck;
 if (yargs.quiet) optsCommandLine.quiet = yargs.quiet;
 if (yargs.verbose) optsCommandLine.verbose = yargs.verbose;
+if (yargs.force) optsCommandLine.force = yargs.force;
+if (yargs.dryRun) optsCommandLine.dryRun = yargs.dryRun;
+if (yargs.watch) optsCommandLine.watch = yargs.watch;
+
+const compilerSettings = {};
+if (yargs.optimizer !== undefined || yargs.optimizerRuns !== undefined) {
+  compilerSettings.optimizer = {};
+  if (yargs.optimizer !== undefined) compilerSettings.optimizer.enabled = yargs.optimizer;
+  if (yargs.optimizerRuns !== undefined) compilerSettings.optimizer.runs = yargs.optimizerRuns;
+}
+if (yargs.evmVersion) compilerSettings.evmVersion = yargs.evmVersion;
+if (yargs.outputSelection) compilerSettings.outputSelection = yargs.outputSelection;
+if (Object.keys(compilerSettings).length > 0) optsCommandLine.compilerSettings = compilerSettings;
 
 const configFile = yargs.configFile || 'solcpiler.json';
 
-api.runFromConfigFile(configFile, optsCommandLine, (err) => {
-  if (err) {
+const fail = (err) => {
+  // compiler errors have already been printed
+  if (err instanceof api.ContractSizeError || err instanceof api.AbiChangeError ||
+    err instanceof api.SelectorCollisionError || err instanceof api.CompilerUnavailableError) {
+    console.error(`ERROR: ${err.message}`);
+  } else if (!(err instanceof api.CompilationError)) {
     /*eslint no-console: "allow"*/
     console.error("ERROR:", err);
   }
+  process.exit(1);
+};
+
+const compilers = (opts) => {
+  const versions = yargs.versions || [];
+
+  switch (yargs.action) {
+    case 'list':
+      return api.listCompilers(opts).then((list) => {
+        console.log(`solcjs  ${bundledSolc().version()} (bundled)`);
+        list.forEach(c => console.log(`${c.type === 'native' ? 'solc   ' : 'soljson'} ${c.version} ${c.file}`));
+      });
+    case 'add':
+      return versions.reduce((p, v) => p
+        .then(() => api.addCompiler(opts, v))
+        .then(c => console.log(`added ${c.type} ${c.version} -> ${c.file}`)), Promise.resolve());
+    case 'remove':
+      return versions.reduce((p, v) => p
+        .then(() => api.removeCompiler(opts, v))
+        .then((removed) => {
+          if (removed.length === 0) throw new Error(`solc ${v} is not in the compiler cache`);
+          removed.forEach(c => console.log(`removed ${c.type} ${c.version}`));
+        }), Promise.resolve());
+    default:
+      return Promise.reject(new Error(`Unknown compilers action: ${yargs.action}. Use list, add or remove`));
+  }
+};
+
+const flatten = opts => api.flatten(yargs.file, opts).then((flattened) => {
+  if (yargs.output) fs.writeFileSync(yargs.output, flattened);
+  else process.stdout.write(flattened);
+});
+
+const verifyBundle = opts => api.verifyBundle(opts, yargs.contract, yargs.args).then((bundle) => {
+  const json = JSON.stringify(bundle, null, 2);
+  if (yargs.output) fs.writeFileSync(yargs.output, json);
+  else console.log(json);
+});
+
+const verifyBytecode = (opts) => {
+  const bytecode = fs.readFileSync(yargs.bytecode === '-' ? 0 : yargs.bytecode, 'utf8');
+  return api.verifyBytecode(opts, yargs.contract, bytecode).then((res) => {
+    console.log(formatVerifyResult(res));
+    if (res.result === 'mismatch') process.exitCode = 1;
+    if (res.result === 'metadata-mismatch') process.exitCode = 2;
+  });
+};
+
+const rebuild = (opts) => {
+  const rebuildOpts = Object.assign({}, opts, { embedded: yargs.embedded });
+  return api.rebuild(rebuildOpts, yargs.artifact).then((res) => {
+    console.log(formatRebuildResult(res));
+    if (res.result === 'mismatch') process.exitCode = 1;
+    if (res.result === 'metadata-mismatch') process.exitCode = 2;
+  });
+};
+
+const clean = opts => api.clean(opts).then((removed) => {
+  if (!opts.quiet) removed.forEach(f => console.log(`removed ${f}`));
 });
+
+const abiDiff = (opts) => {
+  const baseline = {};
+  if (yargs.baseline) {
+    Object.assign(baseline, { abiBaseline: yargs.baseline, abiBaselineRef: undefined });
+  }
+  if (yargs.ref) baseline.abiBaselineRef = yargs.ref;
+
+  return api.abiDiff(Object.assign({}, opts, baseline)).then((diffs) => {
+    console.log(formatAbiDiff(diffs, opts.stableAbi));
+    if (breakingStableChanges(diffs, opts.stableAbi).length > 0) process.exitCode = 1;
+  });
+};
+
+const docs = (opts) => {
+  const docsOpts = Object.assign({}, opts, yargs.output ? { docsDir: yargs.output } : {});
+  return api.docs(docsOpts).then((res) => {
+    if (!opts.quiet) res.files.forEach(f => console.log(`wrote ${f}`));
+  });
+};
+
+const commands = {
+  docs: () => api.loadOptions(configFile, optsCommandLine).then(docs),
+  'abi-diff': () => api.loadOptions(configFile, optsCommandLine).then(abiDiff),
+  clean: () => api.loadOptions(configFile, optsCommandLine).then(clean),
+  rebuild: () => api.loadOptions(configFile, optsCommandLine).then(rebuild),
+  'verify-bytecode': () => api.loadOptions(configFile, optsCommandLine).then(verifyBytecode),
+  'verify-bundle': () => api.loadOptions(configFile, optsCommandLine).then(verifyBundle),
+  flatten: () => api.loadOptions(configFile, optsCommandLine).then(flatten),
+  compilers: () => api.loadOptions(configFile, optsCommandLine).then(compilers),
+};
+
+const [command] = yargs._;
+
+if (command && !commands[command]) {
+  fail(new Error(`Unknown command: ${command}`));
+} else if (command) {
+  commands[command]().catch(fail);
+} else {
+  api.runFromConfigFile(configFile, optsCommandLine).catch(fail);
+}
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const mkdirp = require('mkdirp');
+const setupMethods = require('solc/wrapper');
+const { spawnSync } = require('child_process');
+
+const SOLC_VERSION_REGEX = /\d+\.\d+\.\d+\+commit\.\w{8}/;
+const SOLC_BIN_URL = 'https://binaries.soliditylang.org/bin';
+const DEFAULT_COMPILERS_DIR = path.join(os.homedir(), '.solcpiler', 'compilers');
+
+const SOLJSON_FILE = /^soljson-v(.*)\.js$/;
+const NATIVE_FILE = /^solc-v(.*)$/;
+
+/**
+ * removes the leading 'v' & any platform info from a version string
+ *
+ * ex. 'v0.4.24+commit.e67f0147.Emscripten.clang' -> '0.4.24+commit.e67f0147'
+ */
+const normalizeVersion = (version) => {
+  const v = version.startsWith('v') ? version.slice(1) : version;
+  const match = v.match(SOLC_VERSION_REGEX);
+  return match ? match[0] : v;
+};
+
+/**
+ * checks if a version satisfies the requested version, which may omit the commit
+ * (ex. '0.4.24' is satisfied by '0.4.24+commit.e67f0147')
+ */
+const versionMatches = (version, requested) => {
+  const v = normalizeVersion(version);
+  const r = normalizeVersion(requested);
+  return v === r || v.startsWith(`${r}+`);
+};
+
+/**
+ * the bundled solcjs. It's only required when needed, since loading it is slow
+ */
+const bundledSolc = () => require('solc'); // eslint-disable-line global-require
+
+/**
+ * loads a soljson file
+ *
+ * @param {string} file path to the soljson file
+ * @returns {object} solc wrapper for the soljson
+ */
+// eslint-disable-next-line global-require, import/no-dynamic-require
+const loadSoljson = file => setupMethods(require(path.resolve(file)));
+
+/**
+ * returns the version of a native solc binary, or undefined if it can't be run
+ *
+ * @param {string} bin path to the binary, or a command in the PATH
+ */
+const nativeVersion = (bin) => {
+  const res = spawnSync(bin, ['--version']);
+  if (res.error || !res.stdout) return undefined;
+
+  const match = res.stdout.toString().match(SOLC_VERSION_REGEX);
+  return match ? match[0] : undefined;
+};
+
+const download = (url, file) => new Promise((resolve, reject) => {
+  https.get(url, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      download(res.headers.location, file).then(resolve, reject);
+      return;
+    }
+    if (res.statusCode !== 200) {
+      reject(new Error(`Error retrieving ${url}: ${res.statusCode} ${res.statusMessage}`));
+      return;
+    }
+
+    const tmp = `${file}.download`;
+    const out = fs.createWriteStream(tmp);
+    res.pipe(out);
+    out.on('error', reject);
+    out.on('close', () => {
+      fs.renameSync(tmp, file);
+      resolve(file);
+    });
+  }).on('error', reject);
+});
+
+const fetchJson = url => new Promise((resolve, reject) => {
+  https.get(url, (res) => {
+    if (res.statusCode !== 200) {
+      reject(new Error(`Error retrieving ${url}: ${res.statusCode} ${res.statusMessage}`));
+      return;
+    }
+    let data = '';
+    res.on('data', (d) => {
+      data += d;
+    });
+    res.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }).on('error', reject);
+});
+
+/**
+ * A local directory of compilers, so builds don't need network access. It contains
+ * soljson builds named soljson-v<version>.js and native binaries named solc-v<version>
+ */
+class CompilerCache {
+  /**
+   * @param {string} dir (optional) the cache directory. Default: ~/.solcpiler/compilers
+   */
+  constructor(dir) {
+    this.dir = dir || DEFAULT_COMPILERS_DIR;
+  }
+
+  /**
+   * @returns {array} the cached compilers as { version, type, file }, where type is either
+   *                  soljson or native
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .map((f) => {
+        const soljson = f.match(SOLJSON_FILE);
+        if (soljson) return { version: soljson[1], type: 'soljson', file: path.join(this.dir, f) };
+
+        const native = f.match(NATIVE_FILE);
+        if (native) return { version: native[1], type: 'native', file: path.join(this.dir, f) };
+
+        return undefined;
+      })
+      .filter(c => c)
+      .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  }
+
+  /**
+   * finds a cached compiler satisfying the version. Native binaries are preferred
+   *
+   * @param {string} version the version, w/ or w/o the commit
+   * @returns {object} { version, type, file } or undefined
+   */
+  find(version) {
+    const matches = this.list().filter(c => versionMatches(c.version, version));
+    return matches.find(c => c.type === 'native') || matches[0];
+  }
+
+  /**
+   * adds a compiler to the cache
+   *
+   * @param {string} source path to a soljson file or native solc binary to copy into the
+   *                        cache, or a version to download
+   * @returns {Promise} resolves w/ the added { version, type, file }
+   */
+  add(source) {
+    mkdirp.sync(this.dir);
+
+    if (fs.existsSync(source)) {
+      return Promise.resolve().then(() => {
+        let type = 'native';
+        let version = nativeVersion(path.resolve(source));
+
+        if (!version) {
+          type = 'soljson';
+          try {
+            version = normalizeVersion(loadSoljson(source).version());
+          } catch (e) {
+            throw new Error(`${source} is neither a native solc binary nor a soljson file`);
+          }
+        }
+
+        const file = path.join(this.dir, type === 'native' ? `solc-v${version}` : `soljson-v${version}.js`);
+        fs.copyFileSync(source, file);
+        if (type === 'native') fs.chmodSync(file, 0o755);
+
+        return { version, type, file };
+      });
+    }
+
+    const requested = normalizeVersion(source);
+    const resolveVersion = SOLC_VERSION_REGEX.test(requested)
+      ? Promise.resolve(requested)
+      : fetchJson(`${SOLC_BIN_URL}/list.json`).then((list) => {
+        if (!list.releases[requested]) throw new Error(`Unknown solc version: ${source}`);
+        return normalizeVersion(list.releases[requested]);
+      });
+
+    return resolveVersion.then((version) => {
+      const file = path.join(this.dir, `soljson-v${version}.js`);
+      return download(`${SOLC_BIN_URL}/soljson-v${version}.js`, file)
+        .then(() => ({ version, type: 'soljson', file }));
+    });
+  }
+
+  /**
+   * removes all cached compilers satisfying the version
+   *
+   * @returns {array} the removed compilers
+   */
+  remove(version) {
+    const removed = this.list().filter(c => versionMatches(c.version, version));
+    removed.forEach(c => fs.unlinkSync(c.file));
+    return removed;
+  }
+}
+
+module.exports = {
+  SOLC_VERSION_REGEX,
+  CompilerCache,
+  bundledSolc,
+  normalizeVersion,
+  versionMatches,
+  loadSoljson,
+  nativeVersion,
+};
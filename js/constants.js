@@ -0,0 +1,154 @@
+const utils = require('web3-utils');
+const { tokenize } = require('./parser');
+
+const CONSTANT_TYPES = ['uint', 'address', 'bytes32', 'string'];
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+const isObject = o => o !== null && typeof o === 'object' && !Array.isArray(o);
+
+/**
+ * @param {string} name the name of the constant
+ * @param {object} constant { type, value }
+ * @returns {string} the solidity literal of the value
+ */
+const literal = (name, { type, value }) => {
+  const invalid = expected => new Error(`constants.${name} must be ${expected}, got ${JSON.stringify(value)}`);
+
+  switch (type) {
+    case 'uint':
+      if (typeof value === 'number' && Number.isSafeInteger(value) && value >= 0) return String(value);
+      if (typeof value !== 'string' || !/^(0x[0-9a-fA-F]+|\d+)$/.test(value)) {
+        throw invalid('an unsigned integer, as a number or a decimal or hex string');
+      }
+      return utils.toBN(value).toString(10);
+    case 'address':
+      if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) throw invalid('an address');
+      if (!utils.checkAddressChecksum(value)) {
+        throw invalid(`a checksummed address, ex. ${utils.toChecksumAddress(value)}`);
+      }
+      return value;
+    case 'bytes32':
+      if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) throw invalid('32 bytes as hex');
+      return value;
+    case 'string':
+      if (typeof value !== 'string') throw invalid('a string');
+      // non ascii characters are escaped, as solc only accepts them in unicode literals
+      return JSON.stringify(value)
+        .replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    default:
+      throw new Error(`Unknown type for constants.${name}: ${type}. Use one of: ${CONSTANT_TYPES.join(', ')}`);
+  }
+};
+
+/**
+ * validates the constants option
+ *
+ * @param {object} constants maps the names of solidity constants to { type, value }, the value
+ *                           substituted in the constant declarations. type is one of
+ *                           CONSTANT_TYPES
+ */
+const validateConstants = (constants) => {
+  if (constants === undefined) return;
+  if (!isObject(constants)) throw new Error('constants must be an object of { type, value } by constant name');
+
+  Object.keys(constants).forEach((name) => {
+    if (!IDENTIFIER.test(name)) throw new Error(`Invalid constant name: ${name}`);
+    if (!isObject(constants[name])) throw new Error(`constants.${name} must be { type, value }`);
+    literal(name, constants[name]);
+  });
+};
+
+const MODIFIERS = ['public', 'internal', 'private', 'constant'];
+
+/**
+ * finds the state variable declarations w/ a value in a source, ex.
+ * `uint256 public constant NAME = 1;`. Comments & strings are skipped by the tokenizer, so
+ * commented out declarations don't match
+ *
+ * @returns {array} list of { declared: the type, name, constant, valueStart, valueEnd }, the
+ *                  offsets of the value between the = & the ;
+ */
+const declarations = (src) => {
+  const tokens = tokenize(src).filter(t => t.type !== 'comment');
+  const is = (t, type, value) => t && t.type === type && (value === undefined || t.value === value);
+
+  return tokens.reduce((val, token, i) => {
+    if (!is(token, 'identifier') || !is(tokens[i + 1], 'punctuation', '=')) return val;
+
+    let j = i - 1;
+    while (j >= 0 && is(tokens[j], 'identifier') && MODIFIERS.includes(tokens[j].value)) j -= 1;
+    if (j === i - 1 || !is(tokens[j], 'identifier')) return val;
+
+    const end = tokens.slice(i + 2).find(t => is(t, 'punctuation', ';'));
+    if (!end) return val;
+
+    return val.concat({
+      declared: tokens[j].value,
+      name: token.value,
+      constant: tokens.slice(j + 1, i).some(t => t.value === 'constant'),
+      valueStart: tokens[i + 1].end,
+      valueEnd: end.start,
+    });
+  }, []);
+};
+
+/**
+ * checks the declared type of a constant matches its configured type
+ */
+const checkType = (name, { type, value }, declared, file) => {
+  const uint = declared.match(/^uint(\d*)$/);
+  const matches = type === 'uint' ? Boolean(uint) : declared === type;
+  if (!matches) {
+    throw new Error(`constants.${name} is configured as ${type}, but ${file} declares it as ${declared}`);
+  }
+  if (uint && utils.toBN(literal(name, { type, value })).bitLength() > Number(uint[1] || 256)) {
+    throw new Error(`constants.${name} doesn't fit in the ${declared} ${file} declares it as`);
+  }
+};
+
+/**
+ * substitutes the values of the constants in their declarations in a source, ex.
+ * `uint constant MAX = 10;` -> `uint constant MAX = 100;`
+ *
+ * @param {string} src the content of the source
+ * @param {object} constants the constants option, see validateConstants
+ * @param {string} file the source, for the errors
+ * @returns {object} { content, applied } the source w/ the values substituted & the constants
+ *                   declared in it, as { name: { type, value } }
+ * @throws {Error} if a constant is declared w/ another type than configured
+ */
+const applyConstants = (src, constants = {}, file) => {
+  const found = declarations(src).filter(d => d.constant && constants[d.name]);
+  found.forEach(d => checkType(d.name, constants[d.name], d.declared, file));
+
+  // substituted from the end, so the offsets of the earlier declarations stay valid
+  const content = found.reduceRight((val, d) =>
+    `${val.slice(0, d.valueStart)} ${literal(d.name, constants[d.name])}${val.slice(d.valueEnd)}`, src);
+  const applied = found.reduce((val, d) => Object.assign(val, { [d.name]: constants[d.name] }), {});
+
+  return { content, applied };
+};
+
+/**
+ * annotates a flattened source w/ the values of the constants substituted in it, so the
+ * source of a verified contract documents them
+ *
+ * @param {string} source the flattened source
+ * @param {object} applied the constants substituted in the source, see applyConstants
+ * @returns {string} the annotated source
+ */
+const annotateConstants = (source, applied) => {
+  const names = Object.keys(applied).sort();
+  if (names.length === 0) return source;
+
+  const lines = names.map(n => `//   ${n} (${applied[n].type}) = ${literal(n, applied[n])}`);
+  return `// constants substituted by solcpiler:\n${lines.join('\n')}\n\n${source}`;
+};
+
+module.exports = {
+  CONSTANT_TYPES,
+  validateConstants,
+  applyConstants,
+  annotateConstants,
+};
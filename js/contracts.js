@@ -1,16 +1,76 @@
 const globby = require('globby');
 const generateClass = require('eth-contract-class').default;
+const { linkBytecode } = require('./linker');
+const { fromArtifact, uniqueArtifacts } = require('./formats');
 
 const contracts = {};
-globby.sync('*.json', { cwd: __dirname }).forEach((file) => {
-  const { contractName, compilerOutput } = require(`./${file}`);
-
-  if (compilerOutput.abi && compilerOutput.evm.bytecode.object.length > 0) {
-    contracts[contractName] = generateClass(
-      compilerOutput.abi,
-      `0x${compilerOutput.evm.bytecode.object}`,
-    );
+const compilerOutputs = new Map();
+
+// artifacts may be namespaced by source, ex. contracts/Token.sol/Token.json, & written in
+// any of the artifact formats
+const artifacts = uniqueArtifacts(globby.sync('**/*.json', {
+  cwd: __dirname,
+  ignore: [
+    '**/solcStandardInput*.json',
+    '**/solcStandardOutput*.json',
+    'verify/**',
+    '**/build-info/**',
+    '**/*.dbg.json',
+  ],
+})
+  .map(file => ({ artifact: fromArtifact(require(`./${file}`)) }))
+  .filter(({ artifact }) => artifact))
+  .map(({ artifact }) => artifact)
+  .filter(({ compilerOutput }) =>
+    compilerOutput.abi && compilerOutput.evm.bytecode.object.length > 0);
+
+// every contract is available by its fully qualified source:Contract name, and by its name if
+// unique. Only 1 of those is enumerable, so iterating the contracts returns each class once
+artifacts.forEach(({ contractName, source, compilerOutput }) => {
+  const C = generateClass(compilerOutput.abi, `0x${compilerOutput.evm.bytecode.object}`);
+  compilerOutputs.set(C, compilerOutput);
+
+  const fqName = `${source}:${contractName}`;
+  const sameName = artifacts.filter(a => a.contractName === contractName);
+
+  if (sameName.length === 1) {
+    contracts[contractName] = C;
+    Object.defineProperty(contracts, fqName, { value: C });
+    return;
+  }
+
+  contracts[fqName] = C;
+  if (!Object.prototype.hasOwnProperty.call(contracts, contractName)) {
+    Object.defineProperty(contracts, contractName, {
+      get() {
+        throw new Error(`${contractName} is ambiguous, use one of: ${sameName.map(a => `${a.source}:${contractName}`).join(', ')}`);
+      },
+    });
   }
 });
 
+/**
+ * links library addresses into a contract's bytecode
+ *
+ * @param {function|string} contract the contract class, or its (source:Contract) name
+ * @param {object} libraries { Lib: address } or { 'file.sol:Lib': address }
+ * @returns {function} a new contract class w/ the linked bytecode
+ */
+const link = (contract, libraries) => {
+  const compilerOutput = compilerOutputs.get(typeof contract === 'string' ? contracts[contract] : contract);
+  if (!compilerOutput) throw new Error(`Unknown contract: ${contract.name || contract}`);
+
+  const { bytecode, unlinked } = linkBytecode(
+    `0x${compilerOutput.evm.bytecode.object}`,
+    compilerOutput.evm.bytecode.linkReferences,
+    libraries,
+  );
+  if (unlinked.length > 0) throw new Error(`Missing library addresses for: ${unlinked.join(', ')}`);
+
+  return generateClass(compilerOutput.abi, bytecode);
+};
+
+// non-enumerable, so iterating the contracts only returns contract classes
+Object.defineProperty(contracts, 'link', { value: link });
+
 module.exports = contracts;
@@ -0,0 +1,156 @@
+const { byteLineColumn } = require('./sourcemap');
+
+const DIAGNOSTICS_FORMATS = ['pretty', 'json', 'sarif', 'checkstyle'];
+
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+const CHECKSTYLE_SEVERITIES = { error: 'error', warning: 'warning', info: 'info' };
+
+/**
+ * validates the diagnosticsFormat option
+ */
+const validateDiagnosticsFormat = (format) => {
+  if (format !== undefined && !DIAGNOSTICS_FORMATS.includes(format)) {
+    throw new Error(`Unknown diagnosticsFormat: ${format}. Use one of: ${DIAGNOSTICS_FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * @returns {boolean} whether the diagnostics are printed to the console in a machine readable
+ *                    format, in which case nothing else may be printed to it
+ */
+const printsMachineDiagnostics = ({ diagnosticsFormat = 'pretty', diagnosticsFile }) =>
+  diagnosticsFormat !== 'pretty' && !diagnosticsFile;
+
+/**
+ * converts a solc error to a diagnostic w/ the line & column of its source location
+ *
+ * @param {object} error a solc standard-json error
+ * @param {function} resolveSource called w/ the source unit name of the location, returns
+ *                                 { file, content } w/ the path of the file to report & its
+ *                                 content, or undefined if unknown
+ * @returns {object} {
+ *    severity: error, warning or info,
+ *    type: ex. TypeError,
+ *    code: the solc error code, if any,
+ *    message,
+ *    formattedMessage,
+ *    file, line, column, endLine, endColumn: if the error has a source location. Lines &
+ *      columns are 1 based
+ *  }
+ */
+const toDiagnostic = (error, resolveSource) => {
+  const diagnostic = {
+    severity: error.severity,
+    type: error.type,
+    code: error.errorCode,
+    message: error.message,
+    formattedMessage: error.formattedMessage || error.message,
+  };
+
+  const location = error.sourceLocation;
+  if (!location || !location.file) return diagnostic;
+
+  const source = resolveSource(location.file) || { file: location.file };
+  diagnostic.file = source.file;
+  if (source.content === undefined || !(location.start >= 0)) return diagnostic;
+
+  const start = byteLineColumn(source.content, location.start);
+  const end = byteLineColumn(source.content, Math.max(location.end, location.start));
+  return Object.assign(diagnostic, {
+    line: start.line,
+    column: start.column,
+    endLine: end.line,
+    endColumn: end.column,
+  });
+};
+
+const escapeXml = s => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const ruleId = d => d.code || d.type;
+
+const toSarif = (diagnostics) => {
+  const rules = Array.from(new Set(diagnostics.map(ruleId))).map(id => ({ id }));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'solcpiler', informationUri: 'https://github.com/jbaylina/solcpiler', rules } },
+      results: diagnostics.map((d) => {
+        const result = {
+          ruleId: ruleId(d),
+          level: SARIF_LEVELS[d.severity] || 'warning',
+          message: { text: `${d.type}: ${d.message}` },
+        };
+        if (d.file) {
+          const physicalLocation = { artifactLocation: { uri: d.file.split('\\').join('/') } };
+          if (d.line) {
+            physicalLocation.region = {
+              startLine: d.line,
+              startColumn: d.column,
+              endLine: d.endLine,
+              endColumn: d.endColumn,
+            };
+          }
+          result.locations = [{ physicalLocation }];
+        }
+        return result;
+      }),
+    }],
+  }, null, 2);
+};
+
+const toCheckstyle = (diagnostics) => {
+  const files = diagnostics.reduce((val, d) => {
+    const file = d.file || '';
+    return Object.assign(val, { [file]: (val[file] || []).concat(d) });
+  }, {});
+
+  const errors = ds => ds.map((d) => {
+    const attrs = [
+      d.line ? `line="${d.line}"` : 'line="0"',
+      d.column ? `column="${d.column}"` : undefined,
+      `severity="${CHECKSTYLE_SEVERITIES[d.severity] || 'warning'}"`,
+      `message="${escapeXml(`${d.type}: ${d.message}`)}"`,
+      `source="solc.${escapeXml(ruleId(d))}"`,
+    ].filter(a => a);
+    return `    <error ${attrs.join(' ')}/>`;
+  });
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">']
+    .concat(...Object.keys(files).map(f =>
+      [`  <file name="${escapeXml(f)}">`].concat(errors(files[f]), '  </file>')))
+    .concat('</checkstyle>')
+    .join('\n');
+};
+
+/**
+ * @param {array} diagnostics see toDiagnostic
+ * @param {string} format one of DIAGNOSTICS_FORMATS
+ * @returns {string} the serialized diagnostics
+ */
+const formatDiagnostics = (diagnostics, format = 'pretty') => {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(diagnostics, null, 2);
+    case 'sarif':
+      return toSarif(diagnostics);
+    case 'checkstyle':
+      return toCheckstyle(diagnostics);
+    default:
+      return diagnostics.map(d => `${d.severity.toUpperCase()}: ${d.formattedMessage}`).join('\n');
+  }
+};
+
+module.exports = {
+  DIAGNOSTICS_FORMATS,
+  validateDiagnosticsFormat,
+  printsMachineDiagnostics,
+  toDiagnostic,
+  formatDiagnostics,
+};
@@ -0,0 +1,356 @@
+const path = require('path');
+const { byteLineColumn } = require('./sourcemap');
+
+// the outputs the docs are generated from, selected in addition to the compilerSettings
+const DOCS_OUTPUTS = ['devdoc', 'userdoc', 'evm.methodIdentifiers', 'ast'];
+
+/**
+ * parses a NatSpec comment, as found in the ast
+ *
+ * @param {string|object} documentation the ast documentation. Newer solc versions use an object
+ *                                      w/ the text
+ * @returns {object} { title, author, notice, dev, params: { name: description }, returns }
+ */
+const parseNatspec = (documentation) => {
+  const text = documentation && typeof documentation === 'object' ? documentation.text : documentation;
+  const doc = { params: {} };
+  if (!text) return doc;
+
+  let tag = 'notice';
+  let param;
+  text.split('\n').forEach((line) => {
+    const match = line.trim().match(/^@(\w+)\s*(.*)$/);
+    let value = match ? match[2] : line.trim();
+    if (match) {
+      [, tag] = match;
+      param = undefined;
+      if (tag === 'param') {
+        [param] = value.split(/\s/);
+        value = value.slice(param.length).trim();
+      }
+    }
+    if (!value) return;
+
+    const append = prev => (prev ? `${prev} ${value}` : value);
+    if (tag === 'param' && param) doc.params[param] = append(doc.params[param]);
+    else if (tag === 'return') doc.returns = append(doc.returns);
+    else if (['title', 'author', 'notice', 'dev'].includes(tag)) doc[tag] = append(doc[tag]);
+  });
+
+  return doc;
+};
+
+const typeOf = param => (param.typeDescriptions && param.typeDescriptions.typeString) || '';
+
+const abiParams = params => (params || [])
+  .map(p => `${p.type}${p.indexed ? ' indexed' : ''}${p.name ? ` ${p.name}` : ''}`).join(', ');
+
+const abiSignature = item => `${item.name}(${(item.inputs || []).map(i => i.type).join(',')})`;
+
+/**
+ * indexes the contract definitions of all asts by id, w/ the name of their source
+ */
+const contractDefinitions = output => Object.keys(output.sources).reduce((val, name) => {
+  const { ast } = output.sources[name];
+  return ((ast && ast.nodes) || []).filter(n => n.nodeType === 'ContractDefinition')
+    .reduce((v, n) => Object.assign(v, { [n.id]: { source: name, node: n } }), val);
+}, {});
+
+/**
+ * the documentation model of a contract
+ *
+ * @param {object} output the standard-json output, w/ the DOCS_OUTPUTS selected
+ * @param {string} source the source declaring the contract
+ * @param {string} contractName
+ * @param {function} sourceLocation called w/ (source, offset), returns the { file, line } of the
+ *                                  offset
+ * @returns {object} {
+ *    name, kind, source, location: { file, line },
+ *    bases: the names of the contracts it inherits from,
+ *    title, author, notice, dev,
+ *    functions, events & modifiers: lists of {
+ *      name, signature: as declared, selector (functions only), mutability (functions only),
+ *      location, notice, dev, params: [{ name, type, description }],
+ *      returns: [{ name, type, description }] (functions only), inheritedFrom,
+ *    },
+ *    missing: the signatures of the public functions w/o NatSpec,
+ *  }
+ */
+const contractDocs = (output, source, contractName, sourceLocation) => {
+  const contract = output.contracts[source][contractName];
+  const abi = contract.abi || [];
+  const devdoc = contract.devdoc || {};
+  const userdoc = contract.userdoc || {};
+  const methodIdentifiers = (contract.evm && contract.evm.methodIdentifiers) || {};
+
+  const definitions = contractDefinitions(output);
+  const own = Object.keys(definitions).map(id => definitions[id])
+    .find(d => d.source === source && d.node.name === contractName);
+  const node = own ? own.node : { linearizedBaseContracts: [], baseContracts: [], nodes: [] };
+  const linearized = (node.linearizedBaseContracts || []).map(id => definitions[id]).filter(d => d);
+
+  const locate = (src, s) => {
+    if (!src) return undefined;
+    return sourceLocation(s, Number(src.split(':')[0]));
+  };
+
+  const paramsOf = n => (n.parameters ? n.parameters.parameters : []);
+
+  // the first definition of the member in the inheritance order
+  const findMember = (nodeType, name, paramCount) => linearized.reduce((found, d) => found ||
+    (d.node.nodes || [])
+      .filter(n => n.nodeType === nodeType && n.name === name &&
+        (paramCount === undefined || paramsOf(n).length === paramCount))
+      .map(n => ({ node: n, source: d.source, contract: d.node.name }))[0], undefined);
+
+  const member = (found) => {
+    if (!found) return {};
+    return {
+      location: locate(found.node.src, found.source),
+      inheritedFrom: found.contract === contractName ? undefined : found.contract,
+      natspec: parseNatspec(found.node.documentation),
+    };
+  };
+
+  const params = (abiInputs, docs) => (abiInputs || []).map((p, i) => ({
+    name: p.name || `_${i}`,
+    type: p.type,
+    description: docs[p.name] || docs[`_${i}`],
+  }));
+
+  const functions = abi.filter(d => (d.type || 'function') === 'function').map((fn) => {
+    const signature = abiSignature(fn);
+    const dev = (devdoc.methods || {})[signature] || {};
+    const { notice } = (userdoc.methods || {})[signature] || {};
+    const found = findMember('FunctionDefinition', fn.name, (fn.inputs || []).length);
+    // the getter of a public state variable
+    const variable = found ? undefined : findMember('VariableDeclaration', fn.name);
+    const m = member(found || variable);
+    const natspec = m.natspec || { params: {} };
+
+    // old solc versions document a single return value as a string
+    const returnDocs = Object.assign(
+      { _0: natspec.returns },
+      typeof dev.return === 'string' ? { _0: dev.return } : dev.returns,
+    );
+
+    return {
+      name: fn.name,
+      signature: `function ${fn.name}(${abiParams(fn.inputs)})`,
+      selector: methodIdentifiers[signature] ? `0x${methodIdentifiers[signature]}` : undefined,
+      mutability: fn.stateMutability || (fn.constant ? 'view' : 'nonpayable'),
+      location: m.location,
+      inheritedFrom: m.inheritedFrom,
+      notice: notice || natspec.notice,
+      dev: dev.details || natspec.dev,
+      params: params(fn.inputs, Object.assign({}, natspec.params, dev.params)),
+      returns: params(fn.outputs, returnDocs),
+      getter: Boolean(variable),
+    };
+  });
+
+  const events = abi.filter(d => d.type === 'event').map((ev) => {
+    const signature = abiSignature(ev);
+    const dev = (devdoc.events || {})[signature] || {};
+    const { notice } = (userdoc.events || {})[signature] || {};
+    const m = member(findMember('EventDefinition', ev.name, (ev.inputs || []).length));
+    const natspec = m.natspec || { params: {} };
+
+    return {
+      name: ev.name,
+      signature: `event ${ev.name}(${abiParams(ev.inputs)})`,
+      location: m.location,
+      inheritedFrom: m.inheritedFrom,
+      notice: notice || natspec.notice,
+      dev: dev.details || natspec.dev,
+      params: params(ev.inputs, Object.assign({}, natspec.params, dev.params)),
+    };
+  });
+
+  // modifiers aren't in the abi, or the devdoc & userdoc of older solc versions
+  const modifiers = linearized.reduce((val, d) => val.concat((d.node.nodes || [])
+    .filter(n => n.nodeType === 'ModifierDefinition' && !val.some(m => m.name === n.name))
+    .map((n) => {
+      const inputs = paramsOf(n);
+      const m = member({ node: n, source: d.source, contract: d.node.name });
+      return {
+        name: n.name,
+        signature: `modifier ${n.name}(${inputs.map(p => `${typeOf(p)}${p.name ? ` ${p.name}` : ''}`).join(', ')})`,
+        location: m.location,
+        inheritedFrom: m.inheritedFrom,
+        notice: m.natspec.notice,
+        dev: m.natspec.dev,
+        params: inputs.map(p => ({
+          name: p.name,
+          type: typeOf(p),
+          description: m.natspec.params[p.name],
+        })),
+      };
+    })), []);
+
+  const natspec = parseNatspec(node.documentation);
+  return {
+    name: contractName,
+    kind: node.contractKind || 'contract',
+    source,
+    location: locate(node.src, source),
+    bases: (node.baseContracts || []).map(b => b.baseName.name),
+    title: devdoc.title || natspec.title,
+    author: devdoc.author || natspec.author,
+    notice: userdoc.notice || natspec.notice,
+    dev: devdoc.details || natspec.dev,
+    functions,
+    events,
+    modifiers,
+    missing: functions
+      .filter(f => !f.getter && !f.notice && !f.dev &&
+        f.params.concat(f.returns).every(p => !p.description))
+      .map(f => `${f.name}(${f.params.map(p => p.type).join(',')})`),
+  };
+};
+
+/**
+ * @param {object} sourceInfo { file, content } of the source
+ * @param {number} offset the byte offset in the source
+ * @returns {object} { file, line }
+ */
+const offsetLocation = (sourceInfo, offset) => ({
+  file: sourceInfo.file,
+  line: byteLineColumn(sourceInfo.content, offset).line,
+});
+
+const escapeMd = s => String(s).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * renders the documentation of a contract as markdown
+ *
+ * @param {object} docs see contractDocs
+ * @param {function} link called w/ a location or a contract name, returns the relative link to
+ *                        it, or undefined if there is none
+ * @returns {string} the markdown
+ */
+const renderMarkdown = (docs, link) => {
+  const lines = [`# ${docs.name}`, ''];
+  const sourceLink = location => (location && link(location) ? ` · [source](${link(location)})` : '');
+  const text = (...parts) => parts.filter(p => p).forEach(p => lines.push(p, ''));
+
+  lines.push(`${docs.kind} in \`${docs.source}\`${sourceLink(docs.location)}`, '');
+  if (docs.bases.length > 0) {
+    lines.push(`Inherits: ${docs.bases.map(b => (link(b) ? `[${b}](${link(b)})` : b)).join(', ')}`, '');
+  }
+  text(docs.title && `**${docs.title}**`, docs.author && `Author: ${docs.author}`, docs.notice, docs.dev);
+
+  const table = (heading, params) => {
+    if (params.length === 0) return;
+    lines.push(`| ${heading} | Type | Description |`, '| --- | --- | --- |');
+    params.forEach(p => lines.push(`| ${escapeMd(p.name)} | \`${escapeMd(p.type)}\` | ${escapeMd(p.description || '')} |`));
+    lines.push('');
+  };
+
+  const section = (heading, members, describe) => {
+    if (members.length === 0) return;
+    lines.push(`## ${heading}`, '');
+    members.forEach((m) => {
+      lines.push(`### ${m.name}`, '', `\`${m.signature}\``, '');
+      const meta = describe(m).concat(
+        m.location && link(m.location) && `[source](${link(m.location)})`,
+        m.inheritedFrom && `inherited from ${m.inheritedFrom}`,
+      ).filter(d => d);
+      if (meta.length > 0) lines.push(meta.join(' · '), '');
+      text(m.notice, m.dev);
+      table('Parameter', m.params);
+      table('Return', m.returns || []);
+    });
+  };
+
+  section('Functions', docs.functions, f => [f.selector && `selector \`${f.selector}\``, f.mutability]);
+  section('Events', docs.events, () => []);
+  section('Modifiers', docs.modifiers, () => []);
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
+
+const escapeHtml = s => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * renders a static html page w/ the documentation of all contracts
+ *
+ * @param {array} contracts list of { docs, file } where docs is returned by contractDocs & file
+ *                          is the path of its markdown, relative to the index
+ * @param {function} link called w/ a location, returns the link to it, relative to the index
+ * @returns {string} the html
+ */
+const renderHtmlIndex = (contracts, link) => {
+  const id = docs => `${docs.source}:${docs.name}`.replace(/[^a-zA-Z0-9_-]/g, '-');
+  const sourceLink = location => (location && link(location)
+    ? ` <a href="${escapeHtml(link(location))}">source</a>` : '');
+  const paragraph = s => (s ? `<p>${escapeHtml(s)}</p>` : '');
+
+  const params = (heading, list) => (list.length === 0 ? '' : [
+    `<table><tr><th>${heading}</th><th>Type</th><th>Description</th></tr>`,
+    ...list.map(p => `<tr><td>${escapeHtml(p.name)}</td><td><code>${escapeHtml(p.type)}</code></td><td>${escapeHtml(p.description || '')}</td></tr>`),
+    '</table>',
+  ].join('\n'));
+
+  const members = (heading, list) => (list.length === 0 ? '' : [`<h3>${heading}</h3>`]
+    .concat(list.map(m => [
+      `<h4>${escapeHtml(m.name)}</h4>`,
+      `<p><code>${escapeHtml(m.signature)}</code>${m.selector ? ` <code>${m.selector}</code>` : ''}${sourceLink(m.location)}${m.inheritedFrom ? ` inherited from ${escapeHtml(m.inheritedFrom)}` : ''}</p>`,
+      paragraph(m.notice),
+      paragraph(m.dev),
+      params('Parameter', m.params),
+      params('Return', m.returns || []),
+    ].filter(s => s).join('\n')))
+    .join('\n'));
+
+  const sections = contracts.map(({ docs, file }) => [
+    `<section id="${id(docs)}">`,
+    `<h2>${escapeHtml(docs.name)}</h2>`,
+    `<p>${docs.kind} in <code>${escapeHtml(docs.source)}</code>${sourceLink(docs.location)} <a href="${escapeHtml(file)}">markdown</a></p>`,
+    docs.bases.length > 0 ? `<p>Inherits: ${docs.bases.map(escapeHtml).join(', ')}</p>` : '',
+    docs.title ? `<p><strong>${escapeHtml(docs.title)}</strong></p>` : '',
+    paragraph(docs.notice),
+    paragraph(docs.dev),
+    members('Functions', docs.functions),
+    members('Events', docs.events),
+    members('Modifiers', docs.modifiers),
+    '</section>',
+  ].filter(s => s).join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head><meta charset="utf-8"><title>Contracts</title></head>',
+    '<body>',
+    '<h1>Contracts</h1>',
+    '<ul>',
+    ...contracts.map(({ docs }) => `<li><a href="#${id(docs)}">${escapeHtml(docs.name)}</a> <code>${escapeHtml(docs.source)}</code></li>`),
+    '</ul>',
+    ...sections,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * @param {string} fromDir the dir of the file linking
+ * @param {object} location { file, line } the absolute path of the file & the line
+ * @returns {string} the relative link to the line
+ */
+const lineLink = (fromDir, location) =>
+  `${path.relative(fromDir, location.file).split(path.sep).join('/')}#L${location.line}`;
+
+module.exports = {
+  DOCS_OUTPUTS,
+  parseNatspec,
+  contractDocs,
+  offsetLocation,
+  renderMarkdown,
+  renderHtmlIndex,
+  lineLink,
+};
@@ -0,0 +1,85 @@
+/**
+ * thrown (rejected) when solc reports one or more errors for the compiled sources
+ */
+class CompilationError extends Error {
+  /**
+   * @param {array} errors solc diagnostics w/ severity 'error', or any severity w/
+   *                       warnings.asErrors
+   * @param {array} warnings solc diagnostics w/ severity 'warning'
+   * @param {array} sources the root sources that were being compiled
+   * @param {array} diagnostics all errors & warnings w/ their line & column, see
+   *                            diagnostics.toDiagnostic
+   */
+  constructor(errors, warnings, sources, diagnostics = []) {
+    super(`Compiler errors in ${sources.join(', ')}`);
+    this.name = 'CompilationError';
+    this.errors = errors;
+    this.warnings = warnings;
+    this.sources = sources;
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * thrown (rejected) when the deployed bytecode of a contract exceeds the sizeLimit
+ */
+class ContractSizeError extends Error {
+  /**
+   * @param {array} contracts the oversized contracts, see report.contractSizes
+   * @param {number} limit the max deployed size in bytes
+   */
+  constructor(contracts, limit) {
+    const names = contracts.map(c => `${c.source}:${c.contractName} (${c.deployedSize} bytes)`);
+    super(`Deployed size limit of ${limit} bytes exceeded by ${names.join(', ')}`);
+    this.name = 'ContractSizeError';
+    this.contracts = contracts;
+    this.limit = limit;
+  }
+}
+
+/**
+ * thrown (rejected) when the abi of a contract marked as stableAbi has breaking changes
+ */
+class AbiChangeError extends Error {
+  /**
+   * @param {array} diffs the contracts w/ breaking changes, see abidiff.diffArtifacts
+   */
+  constructor(diffs) {
+    super(`Breaking abi changes in ${diffs.map(d => d.contract).join(', ')}`);
+    this.name = 'AbiChangeError';
+    this.diffs = diffs;
+  }
+}
+
+/**
+ * thrown (rejected) when functions of a contract, or of a proxy & its implementations, have
+ * the same selector
+ */
+class SelectorCollisionError extends Error {
+  /**
+   * @param {array} collisions see abi.selectorCollisions
+   */
+  constructor(collisions) {
+    const names = collisions.map(c => `${c.selector} (${c.signatures.join(', ')} in ${c.contracts.join(' & ')})`);
+    super(`Selector collisions: ${names.join(', ')}`);
+    this.name = 'SelectorCollisionError';
+    this.collisions = collisions;
+  }
+}
+
+/**
+ * thrown (rejected) when no local compiler matches the solcVersion or the solidity pragmas of
+ * a source, & downloading compilers isn't enabled
+ */
+class CompilerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompilerUnavailableError';
+  }
+}
+
+module.exports.CompilationError = CompilationError;
+module.exports.ContractSizeError = ContractSizeError;
+module.exports.AbiChangeError = AbiChangeError;
+module.exports.SelectorCollisionError = SelectorCollisionError;
+module.exports.CompilerUnavailableError = CompilerUnavailableError;
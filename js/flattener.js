@@ -0,0 +1,139 @@
+const semver = require('semver');
+const { tokenize, parse } = require('./parser');
+
+/**
+ * applies the edits, { start, end, text }, to the source. Edits must not overlap
+ */
+const applyEdits = (source, edits) => edits
+  .sort((a, b) => b.start - a.start)
+  .reduce((val, e) => val.slice(0, e.start) + e.text + val.slice(e.end), source);
+
+/**
+ * removes a statement, along w/ the rest of its line if it's empty
+ */
+const removal = (source, start, end) => {
+  const eol = source.slice(end).match(/^[ \t]*\r?\n/);
+  return { start, end: eol ? end + eol[0].length : end, text: '' };
+};
+
+/**
+ * imports are removed, so references to import aliases are replaced by what they alias:
+ * `Alias.Contract` -> `Contract` and `{ Contract as Alias }` -> `Contract`
+ */
+const aliasEdits = (source, imports, removed) => {
+  const unitAliases = imports.filter(i => i.unitAlias).map(i => i.unitAlias);
+  const symbolAliases = imports.reduce((val, i) => i.symbols.filter(s => s.alias)
+    .reduce((v, s) => Object.assign(v, { [s.alias]: s.symbol }), val), {});
+
+  const tokens = tokenize(source).filter(t => t.type !== 'comment');
+  const inRemoved = t => removed.some(r => t.start >= r.start && t.start < r.end);
+  const edits = [];
+
+  tokens.forEach((t, i) => {
+    if (t.type !== 'identifier' || inRemoved(t)) return;
+
+    const next = tokens[i + 1] || {};
+    const prev = tokens[i - 1] || {};
+    // member access, ex. x.Alias, isn't a reference to the alias
+    if (prev.type === 'punctuation' && prev.value === '.') return;
+
+    if (unitAliases.includes(t.value) && next.type === 'punctuation' && next.value === '.') {
+      edits.push({ start: t.start, end: next.end, text: '' });
+    } else if (Object.prototype.hasOwnProperty.call(symbolAliases, t.value)) {
+      edits.push({ start: t.start, end: t.end, text: symbolAliases[t.value] });
+    }
+  });
+
+  return edits;
+};
+
+/**
+ * merges the solidity version pragmas of all files into a single range
+ */
+const mergeVersions = (versions) => {
+  const unique = Array.from(new Set(versions.map(v => v.range)));
+
+  versions.forEach((a) => {
+    const b = versions.find(v => !semver.intersects(a.range, v.range));
+    if (b) {
+      throw new Error(`Incompatible solidity pragmas: ${a.file} requires ${a.range}, but ${b.file} requires ${b.range}`);
+    }
+  });
+
+  if (unique.length <= 1) return unique[0];
+  if (unique.some(r => r.includes('||'))) {
+    throw new Error(`Can't merge the solidity pragmas: ${unique.join(', ')}`);
+  }
+  // space separated ranges must all be satisfied
+  return unique.join(' ');
+};
+
+/**
+ * flattens a source & its imports into a single source w/o imports, a single set of
+ * pragmas and a single SPDX license identifier
+ *
+ * @param {array} files the source & its imports as { name, source }, in dependency order,
+ *                      so every file comes after the files it imports
+ * @param {object} opts { insertFileNames: none|imports|all } whether to surround the contents
+ *                      of each file w/ comments containing the file name
+ * @returns {string} the flattened source
+ */
+const flatten = (files, opts = {}) => {
+  const insertFileNames = opts.insertFileNames === 'all' ||
+    (files.length > 1 && opts.insertFileNames === 'imports');
+
+  const versions = [];
+  const pragmas = [];
+  const licenses = [];
+
+  const bodies = files.map(({ name, source }) => {
+    const parsed = parse(source);
+
+    const removed = parsed.imports.map(i => removal(source, i.start, i.end))
+      .concat(parsed.pragmas.map(p => removal(source, p.start, p.end)));
+
+    parsed.pragmas.forEach((p) => {
+      if (p.name === 'solidity') {
+        versions.push({ file: name, range: p.value });
+      } else if (!pragmas.includes(`${p.name} ${p.value}`)) {
+        pragmas.push(`${p.name} ${p.value}`);
+      }
+    });
+
+    parsed.licenses.forEach((l) => {
+      licenses.push({ file: name, value: l.value });
+      const comment = source.slice(l.start, l.end);
+      if (comment.startsWith('//')) {
+        removed.push(removal(source, l.start, l.end));
+      } else {
+        const i = comment.indexOf('SPDX-License-Identifier');
+        const match = comment.slice(i).match(/^SPDX-License-Identifier:\s*[^\s*]+/);
+        removed.push({ start: l.start + i, end: l.start + i + match[0].length, text: '' });
+      }
+    });
+
+    const body = applyEdits(
+      source,
+      removed.concat(aliasEdits(source, parsed.imports, removed)),
+    ).trim();
+
+    return insertFileNames ? `/* file: ${name} */\n${body}\n/* eof (${name}) */` : body;
+  });
+
+  const licenseIds = Array.from(new Set(licenses.map(l => l.value)));
+  if (licenseIds.length > 1) {
+    throw new Error(`Conflicting SPDX licenses: ${licenses.map(l => `${l.value} (${l.file})`).join(', ')}`);
+  }
+
+  const version = mergeVersions(versions);
+  const header = []
+    .concat(licenseIds.map(l => `// SPDX-License-Identifier: ${l}`))
+    .concat(version ? [`pragma solidity ${version};`] : [])
+    .concat(pragmas.map(p => `pragma ${p};`));
+
+  return `${header.length > 0 ? `${header.join('\n')}\n\n` : ''}${bodies.join('\n\n')}\n`;
+};
+
+module.exports = {
+  flatten,
+};
@@ -0,0 +1,171 @@
+/**
+ * Reads artifacts written in any of the artifact formats as solcpiler artifacts.
+ * This is copied next to the generated contracts.js, so it must only require node builtins.
+ */
+
+const ARTIFACT_FORMATS = ['solcpiler', 'truffle', 'hardhat'];
+
+const HARDHAT_ARTIFACT = 'hh-sol-artifact-1';
+const HARDHAT_DBG = 'hh-sol-dbg-1';
+const HARDHAT_BUILD_INFO = 'hh-sol-build-info-1';
+
+const unhex = h => (h || '').replace(/^0x/, '');
+
+const parseMetadata = (metadata) => {
+  try {
+    return typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * @param {object} json the contents of a json file
+ * @returns {string} the artifact format of the json, or undefined if it's not an artifact
+ */
+const detectFormat = (json) => {
+  if (!json || typeof json !== 'object' || !json.contractName) return undefined;
+  if (json._format === HARDHAT_ARTIFACT) return 'hardhat'; // eslint-disable-line no-underscore-dangle
+  if (json.compilerOutput) return 'solcpiler';
+  if (json.abi && json.bytecode !== undefined && json.deployedBytecode !== undefined) return 'truffle';
+  return undefined;
+};
+
+/**
+ * truffle artifacts only include the contract's own source. Its source id is only known if
+ * the ast was included
+ */
+const fromTruffle = (json) => {
+  const metadata = parseMetadata(json.metadata);
+  const target = metadata && metadata.settings && metadata.settings.compilationTarget;
+  const source = (target && Object.keys(target)[0]) ||
+    (json.ast && json.ast.absolutePath) ||
+    json.sourcePath;
+
+  const compilerOutput = {
+    abi: json.abi,
+    evm: {
+      bytecode: {
+        object: unhex(json.bytecode),
+        sourceMap: json.sourceMap,
+        linkReferences: json.linkReferences || {},
+      },
+      deployedBytecode: {
+        object: unhex(json.deployedBytecode),
+        sourceMap: json.deployedSourceMap,
+        linkReferences: json.deployedLinkReferences || {},
+        immutableReferences: json.immutableReferences || {},
+      },
+    },
+  };
+  ['metadata', 'devdoc', 'userdoc'].forEach((k) => {
+    if (json[k] !== undefined) compilerOutput[k] = json[k];
+  });
+
+  return {
+    contractName: json.contractName,
+    source,
+    compilerOutput,
+    sources: {
+      [source]: {
+        id: json.ast && json.ast.src ? Number(json.ast.src.split(':')[2]) : undefined,
+        file: json.sourcePath,
+        content: json.source,
+      },
+    },
+    compiler: json.compiler,
+    format: 'truffle',
+  };
+};
+
+/**
+ * hardhat artifacts only include the bytecode. The source maps & sources are read from the
+ * build info, if available
+ */
+const fromHardhat = (json, buildInfo) => {
+  const output = buildInfo && buildInfo.output.contracts[json.sourceName];
+  const contract = (output && output[json.contractName]) || {};
+  const evm = contract.evm || {};
+
+  const compilerOutput = Object.assign({}, contract, {
+    abi: json.abi,
+    evm: Object.assign({}, evm, {
+      bytecode: Object.assign({}, evm.bytecode, {
+        object: unhex(json.bytecode),
+        linkReferences: json.linkReferences || {},
+      }),
+      deployedBytecode: Object.assign({}, evm.deployedBytecode, {
+        object: unhex(json.deployedBytecode),
+        linkReferences: json.deployedLinkReferences || {},
+      }),
+    }),
+  });
+
+  let sources = {};
+  if (buildInfo) {
+    // only the sources used by the contract, if the metadata lists them
+    const metadata = parseMetadata(contract.metadata);
+    const names = metadata ? Object.keys(metadata.sources) : Object.keys(buildInfo.output.sources);
+    sources = names.filter(name => buildInfo.output.sources[name]).reduce((val, name) => {
+      const input = buildInfo.input.sources[name] || {};
+      return Object.assign(val, {
+        [name]: { id: buildInfo.output.sources[name].id, file: name, content: input.content },
+      });
+    }, {});
+  }
+
+  return {
+    contractName: json.contractName,
+    source: json.sourceName,
+    compilerOutput,
+    sources,
+    compiler: buildInfo ? { name: 'solc', version: buildInfo.solcLongVersion } : undefined,
+    format: 'hardhat',
+  };
+};
+
+/**
+ * converts an artifact in any of the ARTIFACT_FORMATS to a solcpiler artifact
+ *
+ * @param {object} json the artifact
+ * @param {object} buildInfo (optional) the build info of a hardhat artifact
+ * @returns {object} the solcpiler artifact w/ the format it was read from, or undefined if
+ *                   the json isn't an artifact
+ */
+const fromArtifact = (json, buildInfo) => {
+  switch (detectFormat(json)) {
+    case 'solcpiler':
+      return Object.assign({ format: 'solcpiler' }, json);
+    case 'truffle':
+      return fromTruffle(json);
+    case 'hardhat':
+      return fromHardhat(json, buildInfo);
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * drops the artifacts of contracts that were also written in a preferred format, so a
+ * contract written in several formats is only read once
+ *
+ * @param {array} artifacts list of { artifact } where artifact is a solcpiler artifact
+ *                          returned by fromArtifact
+ * @returns {array} the unique artifacts
+ */
+const uniqueArtifacts = (artifacts) => {
+  const key = ({ artifact }) => `${artifact.source}:${artifact.contractName}`;
+  const rank = ({ artifact }) => ARTIFACT_FORMATS.indexOf(artifact.format);
+
+  return artifacts.filter(a => !artifacts.some(b => key(a) === key(b) && rank(b) < rank(a)));
+};
+
+module.exports = {
+  ARTIFACT_FORMATS,
+  HARDHAT_ARTIFACT,
+  HARDHAT_DBG,
+  HARDHAT_BUILD_INFO,
+  detectFormat,
+  fromArtifact,
+  uniqueArtifacts,
+};
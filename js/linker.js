@@ -0,0 +1,89 @@
+/**
+ * Links library addresses into bytecode using the linkReferences from the compiler output.
+ * This is copied next to the generated contracts.js, so it must not require anything.
+ */
+
+const ADDRESS = /^(0x)?[0-9a-fA-F]{40}$/;
+
+const isObject = o => o !== null && typeof o === 'object' && !Array.isArray(o);
+
+/**
+ * finds the address of a library. Libraries can be given as 'file.sol:Lib' or just 'Lib'
+ *
+ * @returns {string} the lowercase address w/o 0x, or undefined
+ */
+const findAddress = (libraries, file, lib) => {
+  const address = libraries[`${file}:${lib}`] || libraries[lib];
+  if (address === undefined) return undefined;
+  if (!ADDRESS.test(address)) throw new Error(`Invalid address for library ${lib}: ${address}`);
+  return address.replace(/^0x/, '').toLowerCase();
+};
+
+/**
+ * replaces the library placeholders in the bytecode w/ the library addresses
+ *
+ * @param {string} bytecode hex bytecode, w/ or w/o 0x
+ * @param {object} linkReferences { 'file.sol': { Lib: [{ start, length }] } }
+ * @param {object} libraries { Lib: address } or { 'file.sol:Lib': address }
+ * @returns {object} {
+ *    bytecode: the linked bytecode,
+ *    linked: { 'file.sol:Lib': address } the libraries linked,
+ *    unlinked: ['file.sol:Lib'] the libraries still missing an address,
+ *  }
+ */
+const linkBytecode = (bytecode, linkReferences = {}, libraries = {}) => {
+  const prefix = bytecode.startsWith('0x') ? '0x' : '';
+  let code = bytecode.slice(prefix.length);
+  const linked = {};
+  const unlinked = [];
+
+  Object.keys(linkReferences).forEach((file) => {
+    Object.keys(linkReferences[file]).forEach((lib) => {
+      const refs = linkReferences[file][lib];
+      const address = findAddress(libraries, file, lib);
+
+      if (!address) {
+        // the library may already have been linked at build time
+        if (refs.some(r => code.substr(r.start * 2, 2) === '__')) unlinked.push(`${file}:${lib}`);
+        return;
+      }
+
+      refs.forEach(({ start, length }) => {
+        code = code.slice(0, start * 2) + address + code.slice((start + length) * 2);
+      });
+      linked[`${file}:${lib}`] = `0x${address}`;
+    });
+  });
+
+  return { bytecode: prefix + code, linked, unlinked };
+};
+
+/**
+ * validates the libraries config, which maps a network name to the library addresses
+ * deployed on that network: { mainnet: { Lib: address } }
+ *
+ * @param {object} libraries the libraries config
+ * @param {string} network (optional) the network to link
+ */
+const validateLibraries = (libraries, network) => {
+  if (libraries === undefined) return;
+  if (!isObject(libraries)) throw new Error('libraries must be an object of networks');
+
+  Object.keys(libraries).forEach((n) => {
+    if (!isObject(libraries[n])) throw new Error(`libraries.${n} must be an object of library addresses`);
+    Object.keys(libraries[n]).forEach((lib) => {
+      if (typeof libraries[n][lib] !== 'string' || !ADDRESS.test(libraries[n][lib])) {
+        throw new Error(`libraries.${n}.${lib} must be an address`);
+      }
+    });
+  });
+
+  if (network && !libraries[network]) {
+    throw new Error(`No libraries configured for network "${network}". Configured: ${Object.keys(libraries).join(', ')}`);
+  }
+};
+
+module.exports = {
+  linkBytecode,
+  validateLibraries,
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = '.solcpiler-cache.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Records what each root source was last compiled with, so we can determine if it needs
+ * to be recompiled w/o reading every artifact.
+ *
+ * Each entry looks like:
+ *
+ *   {
+ *     solcVersion: '0.4.24+commit.e67f0147',
+ *     profile: the profile the source was compiled w/, if any,
+ *     settingsHash: keccak256 of the effective compiler settings,
+ *     constantsHash: keccak256 of the constant values substituted in the sources,
+ *     librariesHash: keccak256 of the library addresses linked,
+ *     artifactLayout: the layout the artifacts were written in,
+ *     artifactFormats: { solcpiler: 'build', truffle: 'build/truffle' } the artifact formats
+ *                      written & their dirs,
+ *     dependencies: { 'contracts/Token.sol': keccak256, ... },
+ *     artifacts: ['build/Token.json'],
+ *     files: the other generated files, ex. ['build/verify/Token.input.json'],
+ *     sizes: { Token: { deployedSize, initSize } } the bytecode sizes of the contracts,
+ *   }
+ */
+class BuildManifest {
+  /**
+   * @param {string} dir the dir the manifest file is stored in
+   */
+  constructor(dir) {
+    this.file = path.join(dir, MANIFEST_FILE);
+    this.sources = undefined;
+  }
+
+  /**
+   * reads the manifest file. This is only done once, later calls are no-ops
+   */
+  load() {
+    if (this.sources) return;
+
+    this.sources = {};
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (manifest.version === MANIFEST_VERSION) this.sources = manifest.sources || {};
+    } catch (e) {
+      // a corrupt manifest is treated as an empty one, so everything is recompiled
+    }
+  }
+
+  /**
+   * determines why the sourceFile needs to be recompiled
+   *
+   * @param {string} sourceFile the root source
+   * @param {object} entry the current solcVersion, profile, settingsHash, constantsHash,
+   *                       librariesHash, artifactLayout, artifactFormats & dependencies
+   * @returns {string} the reason, or undefined if the source is up to date
+   */
+  staleReason(sourceFile, entry) {
+    this.load();
+    const prev = this.sources[sourceFile];
+
+    if (!prev) return 'not previously compiled';
+    if (prev.solcVersion !== entry.solcVersion) {
+      return `compiler changed (${prev.solcVersion} -> ${entry.solcVersion})`;
+    }
+    if (prev.profile !== entry.profile) {
+      return `profile changed (${prev.profile || 'none'} -> ${entry.profile || 'none'})`;
+    }
+    if (prev.settingsHash !== entry.settingsHash) return 'compiler settings changed';
+    if (prev.constantsHash !== entry.constantsHash) return 'constants changed';
+    if (prev.librariesHash !== entry.librariesHash) return 'libraries changed';
+    if (prev.artifactLayout !== entry.artifactLayout) {
+      return `artifact layout changed (${prev.artifactLayout || 'none'} -> ${entry.artifactLayout})`;
+    }
+    if (JSON.stringify(prev.artifactFormats) !== JSON.stringify(entry.artifactFormats)) {
+      return 'artifact formats changed';
+    }
+
+    const deps = Array.from(new Set(Object.keys(prev.dependencies)
+      .concat(Object.keys(entry.dependencies))));
+    const changed = deps.filter(d => prev.dependencies[d] !== entry.dependencies[d]);
+    if (changed.length > 0) return `sources changed (${changed.join(', ')})`;
+
+    const missing = (prev.artifacts || []).filter(a => !fs.existsSync(a));
+    if (missing.length > 0) return `artifacts missing (${missing.join(', ')})`;
+
+    return undefined;
+  }
+
+  update(sourceFile, entry) {
+    this.load();
+    this.sources[sourceFile] = entry;
+  }
+
+  /**
+   * removes the entries of the sources that aren't in sourceFiles
+   *
+   * @param {array} sourceFiles the current root sources
+   */
+  retain(sourceFiles) {
+    this.load();
+    Object.keys(this.sources).filter(s => !sourceFiles.includes(s)).forEach((s) => {
+      delete this.sources[s];
+    });
+  }
+
+  /**
+   * @param {string} sourceFile the root source
+   * @returns {object} the bytecode sizes of the contracts in the sourceFile, when it was last
+   *                   compiled
+   */
+  sizes(sourceFile) {
+    this.load();
+    return (this.sources[sourceFile] || {}).sizes || {};
+  }
+
+  /**
+   * @returns {array} all files generated for the sources in the manifest
+   */
+  files() {
+    this.load();
+    return Array.from(new Set(Object.keys(this.sources).reduce((val, s) =>
+      val.concat(this.sources[s].artifacts || [], this.sources[s].files || []), [])));
+  }
+
+  save() {
+    this.load();
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify({ version: MANIFEST_VERSION, sources: this.sources }, null, 2),
+    );
+  }
+}
+
+module.exports = BuildManifest;
@@ -0,0 +1,258 @@
+/**
+ * A minimal Solidity tokenizer & parser. It only understands as much of the grammar as we
+ * need to resolve a source's imports, pragmas, license & the contracts it declares, but
+ * unlike a regex, it isn't fooled by comments, strings or unusual formatting.
+ */
+
+const IDENTIFIER_START = /[a-zA-Z$_]/;
+const IDENTIFIER = /[a-zA-Z0-9$_]/;
+const NUMBER = /[0-9a-zA-Z._]/;
+const CONTRACT_KINDS = ['contract', 'interface', 'library'];
+
+/**
+ * splits the source into tokens. Whitespace is dropped, everything else, including
+ * comments, is returned.
+ *
+ * @param {string} source solidity source code
+ * @returns {array} tokens of the form { type, value, start, end }, where type is one of
+ *                  identifier, number, string, comment or punctuation. The value of a
+ *                  string token is its unquoted contents
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  const push = (type, value, start) => tokens.push({
+    type, value, start, end: i,
+  });
+
+  while (i < source.length) {
+    const start = i;
+    const c = source[i];
+
+    if (/\s/.test(c)) {
+      i += 1;
+    } else if (c === '/' && source[i + 1] === '/') {
+      const eol = source.indexOf('\n', i);
+      i = eol === -1 ? source.length : eol;
+      push('comment', source.slice(start, i), start);
+    } else if (c === '/' && source[i + 1] === '*') {
+      const eoc = source.indexOf('*/', i + 2);
+      i = eoc === -1 ? source.length : eoc + 2;
+      push('comment', source.slice(start, i), start);
+    } else if (c === '"' || c === '\'') {
+      let value = '';
+      i += 1;
+      while (i < source.length && source[i] !== c && source[i] !== '\n') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i += 1;
+          const escaped = { n: '\n', r: '\r', t: '\t' }[source[i]];
+          value += escaped === undefined ? source[i] : escaped;
+        } else {
+          value += source[i];
+        }
+        i += 1;
+      }
+      i += 1;
+      push('string', value, start);
+    } else if (IDENTIFIER_START.test(c)) {
+      while (i < source.length && IDENTIFIER.test(source[i])) i += 1;
+      push('identifier', source.slice(start, i), start);
+    } else if (/[0-9]/.test(c)) {
+      while (i < source.length && NUMBER.test(source[i])) i += 1;
+      push('number', source.slice(start, i), start);
+    } else {
+      i += 1;
+      push('punctuation', c, start);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * parses the top level declarations of a solidity source
+ *
+ * @param {string} source solidity source code
+ * @returns {object} {
+ *    imports: [{ path, unitAlias, symbols: [{ symbol, alias }], start, end }],
+ *    pragmas: [{ name, value, start, end }],
+ *    contracts: [{ kind, name, abstract, bases, start, end }],
+ *    license: the SPDX-License-Identifier, if any,
+ *    licenses: [{ value, start, end }] every SPDX-License-Identifier comment,
+ *  }
+ *  start & end are the offsets of the statement/declaration in the source
+ */
+const parse = (source) => {
+  const all = tokenize(source);
+  const tokens = all.filter(t => t.type !== 'comment');
+
+  const result = {
+    imports: [],
+    pragmas: [],
+    contracts: [],
+    license: undefined,
+    licenses: [],
+  };
+
+  all.filter(t => t.type === 'comment').forEach((t) => {
+    const match = t.value.match(/SPDX-License-Identifier:\s*([^\s*]+)/);
+    if (match) result.licenses.push({ value: match[1], start: t.start, end: t.end });
+  });
+  if (result.licenses.length > 0) result.license = result.licenses[0].value;
+
+  let i = 0;
+  const peek = (offset = 0) => tokens[i + offset] || {};
+  const is = (value, offset = 0) => peek(offset).value === value && peek(offset).type !== 'string';
+
+  // skips to the end of the current statement, returning the index of the ';'
+  const skipStatement = () => {
+    while (i < tokens.length && !is(';')) i += 1;
+    return i;
+  };
+
+  const parseImport = () => {
+    const { start } = peek();
+    const imp = { path: undefined, unitAlias: undefined, symbols: [] };
+    i += 1;
+
+    if (peek().type === 'string') {
+      // import "path" [as Alias];
+      imp.path = peek().value;
+      i += 1;
+      if (is('as')) {
+        imp.unitAlias = peek(1).value;
+        i += 2;
+      }
+    } else {
+      if (is('*')) {
+        // import * as Alias from "path";
+        imp.unitAlias = peek(2).value;
+        i += 3;
+      } else if (is('{')) {
+        // import { A, B as C } from "path";
+        i += 1;
+        while (i < tokens.length && !is('}')) {
+          if (peek().type === 'identifier') {
+            const symbol = { symbol: peek().value, alias: undefined };
+            if (is('as', 1)) {
+              symbol.alias = peek(2).value;
+              i += 2;
+            }
+            imp.symbols.push(symbol);
+          }
+          i += 1;
+        }
+        i += 1;
+      } else if (peek().type === 'identifier') {
+        // import Alias from "path";
+        imp.unitAlias = peek().value;
+        i += 1;
+      }
+
+      if (is('from') && peek(1).type === 'string') {
+        imp.path = peek(1).value;
+        i += 2;
+      }
+    }
+
+    skipStatement();
+    if (imp.path !== undefined) {
+      result.imports.push(Object.assign(imp, { start, end: peek().end || source.length }));
+    }
+  };
+
+  const parsePragma = () => {
+    const { start } = peek();
+    const name = peek(1);
+    i += 1;
+    skipStatement();
+    result.pragmas.push({
+      name: name.value,
+      value: source.slice(name.end, peek().start).trim(),
+      start,
+      end: peek().end || source.length,
+    });
+  };
+
+  const parseContract = () => {
+    const { start } = peek();
+    const isAbstract = is('abstract');
+    if (isAbstract) i += 1;
+
+    const contract = {
+      kind: peek().value,
+      name: peek(1).value,
+      abstract: isAbstract,
+      bases: [],
+      start,
+      end: source.length,
+    };
+    i += 2;
+
+    if (is('is')) {
+      i += 1;
+      let parens = 0;
+      let base = '';
+      while (i < tokens.length && !(parens === 0 && is('{'))) {
+        if (is('(')) parens += 1;
+        else if (is(')')) parens -= 1;
+        else if (parens === 0 && is(',')) {
+          contract.bases.push(base);
+          base = '';
+        } else if (parens === 0) {
+          base += peek().value;
+        }
+        i += 1;
+      }
+      if (base) contract.bases.push(base);
+    }
+
+    // skip the contract body
+    let depth = 0;
+    while (i < tokens.length) {
+      if (is('{')) depth += 1;
+      if (is('}')) {
+        depth -= 1;
+        if (depth === 0) {
+          contract.end = peek().end;
+          break;
+        }
+      }
+      i += 1;
+    }
+
+    result.contracts.push(contract);
+  };
+
+  let depth = 0;
+  while (i < tokens.length) {
+    const t = peek();
+
+    if (t.type === 'punctuation' && t.value === '{') {
+      depth += 1;
+    } else if (t.type === 'punctuation' && t.value === '}') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && t.type === 'identifier') {
+      if (t.value === 'import') {
+        parseImport();
+      } else if (t.value === 'pragma') {
+        parsePragma();
+      } else if (
+        CONTRACT_KINDS.includes(t.value) ||
+        (t.value === 'abstract' && is('contract', 1))
+      ) {
+        parseContract();
+      }
+    }
+
+    i += 1;
+  }
+
+  return result;
+};
+
+module.exports = {
+  tokenize,
+  parse,
+};
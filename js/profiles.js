@@ -0,0 +1,70 @@
+const { mergeSettings } = require('./settings');
+
+// the env var selecting the profile, if not given on the command line
+const PROFILE_ENV = 'SOLCPILER_PROFILE';
+
+const isObject = o => o !== null && typeof o === 'object' && !Array.isArray(o);
+
+/**
+ * overloads the options in base w/ the options in opts. The compilerSettings are merged, see
+ * settings.mergeSettings, & the warnings, constants, artifactFormatDirs & the libraries of
+ * each network are merged by key
+ *
+ * @returns {object} new options object
+ */
+const mergeOptions = (base, opts) => {
+  const merged = Object.assign({}, base, opts);
+
+  if (base.compilerSettings && opts.compilerSettings) {
+    merged.compilerSettings = mergeSettings(base.compilerSettings, opts.compilerSettings);
+  }
+  ['warnings', 'constants', 'artifactFormatDirs'].filter(k => base[k] && opts[k]).forEach((k) => {
+    merged[k] = Object.assign({}, base[k], opts[k]);
+  });
+  if (isObject(base.libraries) && isObject(opts.libraries)) {
+    merged.libraries = Object.keys(opts.libraries).reduce((val, network) => Object.assign(val, {
+      [network]: Object.assign({}, base.libraries[network], opts.libraries[network]),
+    }), Object.assign({}, base.libraries));
+  }
+
+  return merged;
+};
+
+/**
+ * resolves the options of a profile. A profile overloads the options of the config, or of the
+ * profile it extends, see mergeOptions
+ *
+ * @param {object} config the options of the config file, w/ the profiles, ex.
+ *                        { profiles: { mainnet: { extends: 'testnet', network: 'mainnet' } } }
+ * @param {string} name the profile. If undefined, the config is used as is
+ * @returns {object} the options w/o the profiles, w/ profile set to the name of the profile
+ */
+const resolveProfile = (config, name) => {
+  const { profiles = {} } = config;
+  if (!isObject(profiles)) throw new Error('profiles must be an object of options by profile name');
+
+  const base = Object.assign({}, config);
+  delete base.profiles;
+  if (name === undefined) return base;
+
+  const resolve = (profile, seen) => {
+    if (!isObject(profiles[profile])) {
+      const configured = Object.keys(profiles);
+      throw new Error(`Unknown profile: ${profile}. ${configured.length > 0 ? `Configured: ${configured.join(', ')}` : 'No profiles are configured'}`);
+    }
+    if (seen.includes(profile)) throw new Error(`Circular profiles: ${seen.concat(profile).join(' -> ')}`);
+
+    const opts = Object.assign({}, profiles[profile]);
+    delete opts.extends;
+    const parent = profiles[profile].extends;
+    return mergeOptions(parent ? resolve(parent, seen.concat(profile)) : base, opts);
+  };
+
+  return Object.assign(resolve(name, []), { profile: name });
+};
+
+module.exports = {
+  PROFILE_ENV,
+  mergeOptions,
+  resolveProfile,
+};
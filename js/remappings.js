@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+const REMAPPINGS_FILE = 'remappings.txt';
+
+/**
+ * parses a remapping in the solc format: [context:]prefix=target
+ *
+ * @param {string} remapping the remapping to parse
+ * @returns {object} { context, prefix, target }
+ */
+const parseRemapping = (remapping) => {
+  const eq = remapping.indexOf('=');
+  if (eq < 1) throw new Error(`Invalid remapping: ${remapping}. Expected [context:]prefix=target`);
+
+  const from = remapping.slice(0, eq);
+  const colon = from.indexOf(':');
+
+  return {
+    context: colon === -1 ? '' : from.slice(0, colon),
+    prefix: colon === -1 ? from : from.slice(colon + 1),
+    target: remapping.slice(eq + 1),
+  };
+};
+
+const formatRemapping = ({ context, prefix, target }) =>
+  `${context ? `${context}:` : ''}${prefix}=${target}`;
+
+/**
+ * loads the remappings from the remappings.txt file in baseDir (if present), followed by
+ * the provided remappings, so the provided ones take precedence
+ *
+ * @param {array} remappings (optional) remappings from the config
+ * @param {string} baseDir dir to look for the remappings.txt file in
+ * @returns {array} list of { context, prefix, target }
+ */
+const loadRemappings = (remappings = [], baseDir) => {
+  if (!Array.isArray(remappings)) throw new Error('remappings must be an array');
+
+  let fileRemappings = [];
+  const file = path.join(baseDir, REMAPPINGS_FILE);
+  if (fs.existsSync(file)) {
+    fileRemappings = fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(l => l && !l.startsWith('#'));
+  }
+
+  return fileRemappings.concat(remappings).map(parseRemapping);
+};
+
+/**
+ * applies the remappings to an import path the same way solc does. The remapping w/ the
+ * longest context, then the longest prefix is used. If equal, the last one wins
+ *
+ * @param {array} remappings list of { context, prefix, target }
+ * @param {string} importPath the import path (relative imports already resolved)
+ * @param {string} sourceFile the file containing the import
+ * @returns {string} the remapped path
+ */
+const applyRemappings = (remappings, importPath, sourceFile) => {
+  let best;
+  remappings.forEach((r) => {
+    if (!sourceFile.startsWith(r.context) || !importPath.startsWith(r.prefix)) return;
+    if (
+      !best ||
+      r.context.length > best.context.length ||
+      (r.context.length === best.context.length && r.prefix.length >= best.prefix.length)
+    ) {
+      best = r;
+    }
+  });
+
+  return best ? best.target + importPath.slice(best.prefix.length) : importPath;
+};
+
+module.exports = {
+  parseRemapping,
+  formatRemapping,
+  loadRemappings,
+  applyRemappings,
+};
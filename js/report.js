@@ -0,0 +1,122 @@
+// the max size of deployed code, see EIP-170
+const EIP170_LIMIT = 24576;
+
+const GAS_ESTIMATES = 'evm.gasEstimates';
+
+/**
+ * validates the sizeLimit option
+ */
+const validateSizeLimit = (limit) => {
+  if (limit === undefined || limit === false) return;
+  if (typeof limit !== 'number' || !(limit >= 0)) {
+    throw new Error(`Invalid sizeLimit: ${limit}. Must be a number of bytes or false`);
+  }
+};
+
+/**
+ * @param {object} opts solcpiler options
+ * @returns {number} the max deployed size, or undefined if it isn't checked. Default: the
+ *                   EIP-170 limit
+ */
+const resolveSizeLimit = (opts) => {
+  if (opts.sizeLimit === false || opts.sizeLimit === 0) return undefined;
+  return opts.sizeLimit === undefined ? EIP170_LIMIT : opts.sizeLimit;
+};
+
+// unlinked library placeholders are the size of the address they are replaced w/
+const bytecodeSize = object => (object || '').replace(/^0x/, '').length / 2;
+
+/**
+ * the sizes & gas estimates of the contracts declared in the root sources. Abstract contracts
+ * & interfaces are omitted
+ *
+ * @param {object} output the standard-json output
+ * @param {array} sourceFiles the root sources
+ * @returns {array} list of {
+ *    source,
+ *    contractName,
+ *    deployedSize: size of the deployed bytecode in bytes,
+ *    initSize: size of the creation bytecode in bytes,
+ *    gas: the solc gasEstimates { creation, external, internal }, if selected,
+ *  }
+ */
+const contractSizes = (output, sourceFiles) => sourceFiles
+  .filter(s => output.contracts[s])
+  .reduce((val, source) => val.concat(Object.keys(output.contracts[source]).map((contractName) => {
+    const evm = output.contracts[source][contractName].evm || {};
+    return {
+      source,
+      contractName,
+      deployedSize: bytecodeSize((evm.deployedBytecode || {}).object),
+      initSize: bytecodeSize((evm.bytecode || {}).object),
+      gas: evm.gasEstimates,
+    };
+  })), [])
+  .filter(c => c.initSize > 0);
+
+/**
+ * @param {array} sizes see contractSizes
+ * @param {number} limit see resolveSizeLimit
+ * @returns {array} the contracts whose deployed size exceeds the limit
+ */
+const oversized = (sizes, limit) =>
+  (limit === undefined ? [] : sizes.filter(c => c.deployedSize > limit));
+
+const delta = (size, prev) => {
+  if (prev === undefined) return 'new';
+  const d = size - prev;
+  return d > 0 ? `+${d}` : String(d);
+};
+
+const table = rows => rows.map(row => row.map((cell, i) => {
+  const width = Math.max(...rows.map(r => r[i].length));
+  return i === 0 ? cell.padEnd(width) : cell.padStart(width);
+}).join('  ').trimRight()).join('\n');
+
+/**
+ * formats the sizes as a table, w/ the difference to the sizes of the previous build & the gas
+ * estimates of the creation & each external function, if selected
+ *
+ * @param {array} sizes see contractSizes
+ * @param {function} previousSize called w/ the source & contractName, returns the
+ *                                { deployedSize, initSize } of the previous build, if any
+ * @param {number} limit see resolveSizeLimit. Contracts exceeding it are marked w/ a !
+ * @returns {string} the report
+ */
+const formatSizeReport = (sizes, previousSize, limit) => {
+  const hasGas = sizes.some(c => c.gas);
+  const header = ['contract', 'deployed', 'delta', 'init', 'delta'].concat(hasGas ? 'creation gas' : []);
+
+  const rows = sizes.map((c) => {
+    const prev = previousSize(c.source, c.contractName) || {};
+    const creation = c.gas && c.gas.creation ? c.gas.creation.totalCost : '';
+    return [
+      `${c.source}:${c.contractName}`,
+      `${c.deployedSize}${oversized([c], limit).length > 0 ? '!' : ''}`,
+      delta(c.deployedSize, prev.deployedSize),
+      String(c.initSize),
+      delta(c.initSize, prev.initSize),
+    ].concat(hasGas ? String(creation) : []);
+  });
+
+  const lines = [table([header].concat(rows))];
+  if (limit !== undefined) lines.push(`\ndeployed size limit: ${limit} bytes`);
+
+  sizes.filter(c => c.gas && Object.keys(c.gas.external || {}).length > 0).forEach((c) => {
+    const { external } = c.gas;
+    lines.push(`\n${c.source}:${c.contractName} gas estimates:`);
+    lines.push(table(Object.keys(external).map(f => [`  ${f || '(fallback)'}`, String(external[f])])));
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  EIP170_LIMIT,
+  GAS_ESTIMATES,
+  validateSizeLimit,
+  resolveSizeLimit,
+  contractSizes,
+  oversized,
+  formatSizeReport,
+};
@@ -0,0 +1,265 @@
+const globby = require('globby');
+const path = require('path');
+
+const EVM_VERSIONS = [
+  'homestead',
+  'tangerineWhistle',
+  'spuriousDragon',
+  'byzantium',
+  'constantinople',
+  'petersburg',
+  'istanbul',
+  'berlin',
+  'london',
+  'paris',
+  'shanghai',
+  'cancun',
+];
+
+const OUTPUTS = [
+  '*',
+  'abi',
+  'ast',
+  'legacyAST',
+  'metadata',
+  'devdoc',
+  'userdoc',
+  'ir',
+  'irOptimized',
+  'storageLayout',
+  'evm',
+  'ewasm',
+];
+
+const DEFAULT_OUTPUT_SELECTION = [
+  'metadata',
+  'evm.bytecode.object',
+  'evm.bytecode.sourceMap',
+  'evm.bytecode.linkReferences',
+  'abi',
+  'evm.methodIdentifiers',
+  'evm.deployedBytecode.object',
+  'evm.deployedBytecode.sourceMap',
+  'evm.deployedBytecode.linkReferences',
+  'evm.deployedBytecode.immutableReferences',
+];
+
+// outputs solc produces per file, not per contract
+const FILE_OUTPUTS = ['ast', 'legacyAST'];
+
+const SETTINGS_KEYS = ['optimizer', 'evmVersion', 'metadata', 'outputSelection'];
+
+const defaultSettings = () => ({
+  optimizer: {
+    enabled: true,
+    runs: 200,
+  },
+  metadata: {
+    useLiteralContent: true,
+  },
+  outputSelection: {
+    '*': {
+      '*': DEFAULT_OUTPUT_SELECTION.slice(),
+    },
+  },
+});
+
+const isObject = o => o !== null && typeof o === 'object' && !Array.isArray(o);
+
+const validateOutputs = (outputs, name) => {
+  if (!Array.isArray(outputs)) throw new Error(`${name} must be an array of outputs`);
+
+  outputs.forEach((o) => {
+    if (typeof o !== 'string' || !OUTPUTS.includes(o.split('.')[0])) {
+      throw new Error(`${name} contains an unknown output: ${o}`);
+    }
+  });
+};
+
+/**
+ * validates a compilerSettings object (or an override), throwing an Error describing the
+ * first invalid value found
+ *
+ * @param {object} settings compilerSettings to validate
+ * @param {string} name the name to use in error messages
+ */
+const validateSettings = (settings, name = 'compilerSettings') => {
+  if (!isObject(settings)) throw new Error(`${name} must be an object`);
+
+  Object.keys(settings).forEach((key) => {
+    if (!SETTINGS_KEYS.includes(key) && !(name === 'compilerSettings' && key === 'overrides')) {
+      throw new Error(`${name} contains an unknown setting: ${key}`);
+    }
+  });
+
+  const {
+    optimizer,
+    evmVersion,
+    metadata,
+    outputSelection,
+  } = settings;
+
+  if (optimizer !== undefined) {
+    if (!isObject(optimizer)) throw new Error(`${name}.optimizer must be an object`);
+    if (optimizer.enabled !== undefined && typeof optimizer.enabled !== 'boolean') {
+      throw new Error(`${name}.optimizer.enabled must be a boolean`);
+    }
+    if (optimizer.runs !== undefined && !(Number.isInteger(optimizer.runs) && optimizer.runs > 0)) {
+      throw new Error(`${name}.optimizer.runs must be a positive integer`);
+    }
+  }
+
+  if (evmVersion !== undefined && !EVM_VERSIONS.includes(evmVersion)) {
+    throw new Error(`${name}.evmVersion must be one of: ${EVM_VERSIONS.join(', ')}`);
+  }
+
+  if (metadata !== undefined) {
+    if (!isObject(metadata)) throw new Error(`${name}.metadata must be an object`);
+    if (metadata.useLiteralContent !== undefined && typeof metadata.useLiteralContent !== 'boolean') {
+      throw new Error(`${name}.metadata.useLiteralContent must be a boolean`);
+    }
+  }
+
+  if (outputSelection !== undefined) {
+    if (Array.isArray(outputSelection)) {
+      validateOutputs(outputSelection, `${name}.outputSelection`);
+    } else if (isObject(outputSelection)) {
+      Object.keys(outputSelection).forEach((f) => {
+        if (!isObject(outputSelection[f])) {
+          throw new Error(`${name}.outputSelection["${f}"] must be an object`);
+        }
+        Object.keys(outputSelection[f]).forEach(c =>
+          validateOutputs(outputSelection[f][c], `${name}.outputSelection["${f}"]["${c}"]`));
+      });
+    } else {
+      throw new Error(`${name}.outputSelection must be an array of extra outputs or a standard-json outputSelection object`);
+    }
+  }
+
+  if (settings.overrides !== undefined) {
+    if (!Array.isArray(settings.overrides)) throw new Error(`${name}.overrides must be an array`);
+
+    settings.overrides.forEach((override, i) => {
+      const oName = `${name}.overrides[${i}]`;
+      if (!isObject(override)) throw new Error(`${oName} must be an object`);
+
+      const { sources, contracts } = override;
+      if (sources === undefined && contracts === undefined) {
+        throw new Error(`${oName} must specify sources and/or contracts`);
+      }
+      [['sources', sources], ['contracts', contracts]].forEach(([key, val]) => {
+        if (val !== undefined && (!Array.isArray(val) || val.some(v => typeof v !== 'string'))) {
+          throw new Error(`${oName}.${key} must be an array of strings`);
+        }
+      });
+
+      const s = Object.assign({}, override);
+      delete s.sources;
+      delete s.contracts;
+      validateSettings(s, oName);
+    });
+  }
+};
+
+/**
+ * merges the compiler settings in b into a. An outputSelection array is added to the
+ * outputs already selected for every contract, or to the default outputs if a doesn't
+ * select any
+ *
+ * @returns {object} new settings object
+ */
+const mergeSettings = (a, b) => {
+  if (!b) return a;
+
+  const merged = Object.assign({}, a);
+
+  if (b.optimizer) merged.optimizer = Object.assign({}, a.optimizer, b.optimizer);
+  if (b.metadata) merged.metadata = Object.assign({}, a.metadata, b.metadata);
+  if (b.evmVersion) merged.evmVersion = b.evmVersion;
+
+  if (Array.isArray(b.outputSelection)) {
+    if (Array.isArray(a.outputSelection)) {
+      merged.outputSelection = Array.from(new Set(a.outputSelection.concat(b.outputSelection)));
+    } else {
+      const selection = a.outputSelection || defaultSettings().outputSelection;
+      merged.outputSelection = Object.keys(selection).reduce((val, f) => Object.assign(val, {
+        [f]: Object.keys(selection[f]).reduce((v, c) => Object.assign(v, {
+          [c]: Array.from(new Set(selection[f][c].concat(b.outputSelection))),
+        }), {}),
+      }), {});
+    }
+  } else if (b.outputSelection) {
+    merged.outputSelection = b.outputSelection;
+  }
+
+  if (a.overrides || b.overrides) merged.overrides = (a.overrides || []).concat(b.overrides || []);
+
+  return merged;
+};
+
+/**
+ * file outputs are selected w/ an empty contract name, so file outputs selected for any
+ * contract of a file are selected for the file as well
+ *
+ * @returns {object} new outputSelection object
+ */
+const selectFileOutputs = outputSelection => Object.keys(outputSelection).reduce((val, f) => {
+  const selected = outputSelection[f];
+  const outputs = Object.keys(selected)
+    .reduce((v, c) => v.concat(selected[c].filter(o => FILE_OUTPUTS.includes(o))), []);
+
+  return Object.assign(val, {
+    [f]: outputs.length === 0 ? selected : Object.assign({}, selected, {
+      '': Array.from(new Set((selected[''] || []).concat(outputs))),
+    }),
+  });
+}, {});
+
+/**
+ * resolves the effective settings for a source and the contracts it declares
+ *
+ * @param {object} compilerSettings user provided compilerSettings
+ * @param {string} sourceFile (optional) the root source. If not provided, no overrides
+ *                            are applied
+ * @param {array} contractNames contracts declared in the sourceFile
+ * @returns {object} the standard-json settings for the source (without remappings)
+ */
+const resolveSettings = (compilerSettings = {}, sourceFile, contractNames = []) => {
+  const matchesSource = (patterns) => {
+    const file = path.resolve(sourceFile);
+    return globby.sync(patterns).some(f => path.resolve(f) === file);
+  };
+
+  const overrides = !sourceFile ? [] : (compilerSettings.overrides || []).filter(o =>
+    (o.sources && matchesSource(o.sources)) ||
+    (o.contracts && o.contracts.some(c => contractNames.includes(c))));
+
+  let settings = mergeSettings(defaultSettings(), compilerSettings);
+  overrides.forEach((o) => {
+    // outputs can be selected per contract, so overrides matched by contract name
+    // only select extra outputs for the matching contracts
+    if (!o.sources && Array.isArray(o.outputSelection)) {
+      const selected = Object.assign({}, settings.outputSelection);
+      selected[sourceFile] = Object.assign({}, selected[sourceFile]);
+      o.contracts.filter(c => contractNames.includes(c)).forEach((c) => {
+        selected[sourceFile][c] = o.outputSelection;
+      });
+      settings = mergeSettings(settings, Object.assign({}, o, { outputSelection: selected }));
+    } else {
+      settings = mergeSettings(settings, o);
+    }
+  });
+
+  delete settings.overrides;
+  settings.outputSelection = selectFileOutputs(settings.outputSelection);
+  return settings;
+};
+
+module.exports = {
+  EVM_VERSIONS,
+  DEFAULT_OUTPUT_SELECTION,
+  defaultSettings,
+  validateSettings,
+  mergeSettings,
+  resolveSettings,
+};
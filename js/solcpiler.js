@@ -1,13 +1,85 @@
 const fs = require('fs');
 const path = require('path');
 const globby = require('globby');
-const solcjs = require('solc');
+const mkdirp = require('mkdirp');
 const utils = require('web3-utils');
-const { execSync, spawnSync } = require('child_process');
+const semver = require('semver');
+const { spawnSync } = require('child_process');
+const {
+  CompilationError,
+  ContractSizeError,
+  AbiChangeError,
+  SelectorCollisionError,
+  CompilerUnavailableError,
+} = require('./errors');
+const { resolveSettings, validateSettings, mergeSettings } = require('./settings');
+const BuildManifest = require('./manifest');
+const { parse } = require('./parser');
+const { linkBytecode, validateLibraries } = require('./linker');
+const { flatten } = require('./flattener');
+const { compareBytecode } = require('./verify');
+const {
+  ARTIFACT_LAYOUTS,
+  SELECTORS_FILE,
+  resolveArtifactFile,
+  resolveFlattenedFile,
+  resolveVerifyFile,
+  findCollisions,
+  readArtifacts,
+} = require('./artifacts');
+const {
+  ARTIFACT_WRITERS,
+  resolveFormatDir,
+  validateArtifactFormats,
+  hardhatBuildInfo,
+} = require('./writers');
+const { removeFiles, outputDirs } = require('./clean');
+const {
+  validateDiagnosticsFormat,
+  printsMachineDiagnostics,
+  toDiagnostic,
+  formatDiagnostics,
+} = require('./diagnostics');
+const { validateWarnings, applyWarningPolicy } = require('./warnings');
+const {
+  GAS_ESTIMATES,
+  validateSizeLimit,
+  resolveSizeLimit,
+  contractSizes,
+  oversized,
+  formatSizeReport,
+} = require('./report');
+const {
+  diffArtifacts,
+  validateStableAbi,
+  readBaseline,
+  breakingStableChanges,
+  formatAbiDiff,
+} = require('./abidiff');
+const { selectorRegistry, selectorCollisions, validateProxies } = require('./abi');
+const {
+  DOCS_OUTPUTS,
+  contractDocs,
+  offsetLocation,
+  renderMarkdown,
+  renderHtmlIndex,
+  lineLink,
+} = require('./docs');
+const { loadRemappings, applyRemappings, formatRemapping } = require('./remappings');
+const { validateConstants, applyConstants, annotateConstants } = require('./constants');
+const {
+  SOLC_VERSION_REGEX,
+  CompilerCache,
+  bundledSolc,
+  normalizeVersion,
+  versionMatches,
+  loadSoljson,
+  nativeVersion,
+} = require('./compilers');
 
 class BreakSignal {}
 
-const SOLC_VERSION_REGEX = /\d\.\d\.\d+\+commit\.\w{8}/;
+const NATIVE_SOLC_MAX_BUFFER = 512 * 1024 * 1024;
 
 /**
  * determines the baseDir for resolving files. The baseDir is the first dir in the chain,
@@ -32,25 +104,21 @@ const resolveBaseDir = () => {
   return dir;
 };
 
-const resolveArtifactFile = (dir, contractName) => path.join(dir, `${contractName}.json`);
-
 /**
- * reads the artifact file and returns the object
- *
- * @param {string} dir the dir to look for the artifact file in
- * @param {string} contractName the name of the contract to get the artifact for
- * @returns {object} artifact object
+ * writes a flattened file, see Solcpiler.flattenedFile
  */
-const readArtifact = (dir, contractName) => {
-  const artifactFile = resolveArtifactFile(dir, contractName);
-  if (!fs.existsSync(artifactFile)) return {};
-
-  return require(require.resolve(artifactFile, { paths: [process.cwd()] }));
+const writeFlattened = ({ file, source }) => {
+  mkdirp.sync(path.dirname(file));
+  fs.writeFileSync(file, source);
 };
 
 class Solcpiler {
   constructor(opts, files) {
     this.opts = opts || {};
+    // so the diagnostics printed to the console can be parsed
+    if (printsMachineDiagnostics(this.opts)) {
+      this.opts = Object.assign({}, this.opts, { quiet: true });
+    }
     this.sourceList = files;
     this.libs = undefined;
     this.sources = {};
@@ -58,140 +126,660 @@ class Solcpiler {
     // if all hashes match, we don't need to compile them. this.sources is passed to
     this.importSources = {};
     this.sourceHashes = {};
+    // the constants substituted in each loaded source
+    this.appliedConstants = {};
     this.remappings = {};
     this.fileMap = {};
     this.fileDeps = {};
-    this.solc = solcjs;
+    this.parsed = {};
+    this.userRemappings = [];
+    this.solcBin = 'solc';
+    this.compilerCache = new CompilerCache(this.opts.compilersDir);
+    this.loadedSoljson = {};
     this.baseDir = resolveBaseDir();
+    this.manifest = new BuildManifest(this.opts.outputArtifactsDir || '.');
   }
 
-  compile() {
-    if (!Array.isArray(this.sourceList) || this.sourceList.length === 0) {
-      console.log('No files to compile');
-      return;
+  /**
+   * compiles the given root sources, skipping any whose artifacts are up to date
+   *
+   * @param {array} files (optional) subset of this.sourceList to compile. Default: all sources
+   * @returns {Promise} resolves w/ { compiled, skipped, stale, artifacts, warnings, diagnostics,
+   *                    suppressed, sizes, abiChanges, pruned } or rejects w/ a
+   *                    CompilationError if solc reports any errors, or any warnings w/
+   *                    warnings.asErrors, w/ a ContractSizeError if a contract exceeds the
+   *                    sizeLimit, w/ an AbiChangeError if a stableAbi contract has breaking
+   *                    abi changes, see checkAbi & w/ a SelectorCollisionError if any
+   *                    selectors collide, see writeSelectors. stale maps each
+   *                    source that was (or w/ the dryRun option, would be) compiled to the
+   *                    reason it needed to be. suppressed is the number of warnings suppressed
+   *                    by the warnings option. sizes are the sizes of the compiled contracts,
+   *                    see report.contractSizes. abiChanges are the abi changes of the
+   *                    compiled contracts. pruned are the stale files removed, see prune
+   */
+  compile(files) {
+    const roots = files || this.sourceList;
+    let skipped = [];
+    let pruned = [];
+    let diagnostics = [];
+    let suppressed = 0;
+    let sizes = [];
+    let abiChanges = [];
+    const result = () => ({
+      compiled: [],
+      skipped,
+      stale: this.staleReasons || {},
+      artifacts: [],
+      warnings: [],
+      diagnostics,
+      suppressed,
+      sizes,
+      abiChanges,
+      pruned,
+    });
+
+    if (!Array.isArray(roots) || roots.length === 0) {
+      if (!this.opts.quiet) console.log('No files to compile');
+      // w/o any sources, everything previously generated is stale
+      if (!files && Array.isArray(this.sourceList) && !this.opts.dryRun) {
+        pruned = this.prune(this.manifest.files());
+      }
+      return Promise.resolve(result());
     }
 
-    const useNativeSolc = this.useNativeSolc();
+    let useNativeSolc;
+    let previousFiles;
 
     this.updateTime = new Date();
-    Promise.all([...this.sourceList.map(f => this.loadFile(f))])
+    // the constants are substituted while loading the sources
+    return Promise.resolve()
+      .then(() => validateConstants(this.opts.constants))
+      .then(() => Promise.all([...roots.map(f => this.loadFile(f))]))
       .then(() => {
-        this.sourceList.forEach(s => (this.fileMap[s] = path.join(process.cwd(), s)));
+        // a previous compile may have moved roots to importSources (or left other roots
+        // in sources), so we reset the roots to only those we were asked to compile
+        Object.keys(this.sources).filter(s => !roots.includes(s)).forEach((s) => {
+          this.importSources[s] = this.sources[s];
+          delete this.sources[s];
+        });
+        roots.filter(s => !this.sources[s]).forEach((s) => {
+          this.sources[s] = this.importSources[s];
+          delete this.importSources[s];
+        });
 
-        this.generateStandardJson();
+        this.sourceList.forEach(s => (this.fileMap[s] = path.join(process.cwd(), s)));
+        previousFiles = this.manifest.files();
+
+        useNativeSolc = !this.autoSelectCompiler() && this.useNativeSolc();
+
+        if (this.opts.compilerSettings) validateSettings(this.opts.compilerSettings);
+        validateLibraries(this.opts.libraries, this.opts.network);
+        validateArtifactFormats(this.opts.artifactFormats, this.opts.artifactFormatDirs);
+        validateDiagnosticsFormat(this.opts.diagnosticsFormat);
+        validateWarnings(this.opts.warnings);
+        validateSizeLimit(this.opts.sizeLimit);
+        validateStableAbi(this.opts.stableAbi);
+        validateProxies(this.opts.proxies);
+        this.checkArtifactCollisions();
+        this.checkFlattenedCollisions();
+        this.loadImportConfig();
 
         if (!this.opts.quiet) console.log('\ncalculating contract hashes...\n');
 
-        const currentSolcVersion = this.getCurrentSolcVersion(useNativeSolc);
-        this.removeUnchangedSources(currentSolcVersion);
-
-        if (Object.keys(this.sources).length === 0) throw new BreakSignal();
+        // w/o an explicit compiler, each source is compiled w/ the newest available compiler
+        // satisfying its pragmas
+        const currentSolcVersion = this.autoSelectCompiler()
+          ? undefined
+          : this.getCurrentSolcVersion(useNativeSolc);
+        skipped = this.removeUnchangedSources(currentSolcVersion);
+        // all sources & their imports are loaded by now, unless only some were asked for
+        if (!files) this.checkUnmatchedConstants();
+
+        if (this.opts.dryRun) {
+          Object.keys(this.staleReasons).forEach((s) => {
+            console.log(`would compile ${s}: ${this.staleReasons[s]}`);
+          });
+          if (Object.keys(this.staleReasons).length === 0) console.log('nothing to compile');
+          throw new BreakSignal();
+        }
 
-        fs.writeFileSync(
-          path.join(this.opts.outputSolDir, 'solcStandardInput.json'),
-          JSON.stringify(this.standardInput, null, 2),
-        );
+        if (Object.keys(this.sources).length === 0) {
+          this.reportDiagnostics(diagnostics);
+          this.checkSizes([], skipped);
+          pruned = this.prune(previousFiles);
+          this.writeSelectors();
+          throw new BreakSignal();
+        }
 
-        return useNativeSolc ? Promise.resolve() : this.setSolidityVersion();
+        if (this.autoSelectCompiler() || useNativeSolc) return Promise.resolve();
+        return this.setSolidityVersion();
       })
       .then(() => {
         if (!this.opts.quiet) {
           console.log(`compiling contracts...\n\n${Object.keys(this.sources).join('\n')}\n`);
         }
 
-        const output = useNativeSolc
-          ? this.compileNativeSolc()
-          : JSON.parse(this.solc.compileStandardWrapper(JSON.stringify(this.standardInput), _path =>
-            this.resolvePath(_path)));
+        // sources w/ different compiler settings or versions can't share a compilation
+        const compilations = this.groupSources(Object.keys(this.sources)).map((group, i) => {
+          if (group.compiler) this.useCompiler(group.compiler);
+          this.generateStandardJson(group.sources, group.settings);
+
+          const suffix = i === 0 ? '' : `.${i}`;
+          fs.writeFileSync(
+            path.join(this.opts.outputSolDir, `solcStandardInput${suffix}.json`),
+            JSON.stringify(this.standardInput, null, 2),
+          );
+
+          const native = group.compiler ? this.nativeSolc : useNativeSolc;
+          const output = this.compileStandardInput(native);
+
+          return {
+            sources: group.sources,
+            standardInput: this.standardInput,
+            remappings: this.remappings,
+            compiler: group.compiler,
+            compiledSolcVersion: this.compiledSolcVersion,
+            native,
+            output,
+            suffix,
+          };
+        });
+
+        const solcErrors = compilations.reduce((val, c) => val.concat(c.output.errors || []), []);
+        const contents = {};
+        const solcDiagnostics = compilations.reduce((val, c) => val.concat((c.output.errors || [])
+          .map(e => toDiagnostic(e, (name) => {
+            const source = this.resolveDiagnosticSource(c.standardInput, name);
+            contents[source.file] = source.content;
+            return source;
+          }))), []);
+
+        const policy = applyWarningPolicy(solcDiagnostics, this.opts.warnings, f => contents[f]);
+        ({ diagnostics } = policy);
+        suppressed = policy.suppressed.length;
+
+        // solc errors & warnings w/o the suppressed warnings
+        const kept = solcErrors.filter((e, i) => !policy.suppressed.includes(solcDiagnostics[i]));
+        const asErrors = Boolean(this.opts.warnings && this.opts.warnings.asErrors);
+        const errors = kept.filter(e => e.severity === 'error' || asErrors);
+        const warnings = kept.filter(e => e.severity !== 'error' && !asErrors);
+
+        this.reportDiagnostics(diagnostics);
+
+        if (errors.length > 0) {
+          if (!printsMachineDiagnostics(this.opts)) {
+            console.log('Compiler errors!\n');
+
+            compilations
+              .filter(c => (c.output.errors || []).some(e => e.type === 'ParserError'))
+              .forEach((c) => {
+                const solcMsg = c.native ? 'native solc' : 'solcjs';
+                console.log(`Is ${solcMsg} "${c.compiledSolcVersion}" the correct version needed for your contracts? A ParserError occurred, which will be thrown before the 'pragma' directive is checked. You may need to install a more up-to-date version.\n\n`);
+              });
+          }
+          this.reportSuppressed(suppressed);
+          throw new CompilationError(errors, warnings, Object.keys(this.sources), diagnostics);
+        }
 
-        if (output.errors) {
-          let hasError = false;
+        // checked before saving, so the oversized contracts are recompiled by the next build
+        const sizeLimit = resolveSizeLimit(this.opts);
+        sizes = compilations.reduce((val, c) => val.concat(contractSizes(c.output, c.sources)), []);
+        if (!this.opts.quiet && sizes.length > 0) {
+          const previousSize = (s, contractName) => this.manifest.sizes(s)[contractName];
+          console.log(`\n${formatSizeReport(sizes, previousSize, sizeLimit)}\n`);
+        }
+        this.checkSizes(sizes, skipped);
+        abiChanges = this.checkAbi(compilations);
+
+        // the flattened files are checked before saving as well, so a build w/ an invalid
+        // flattened file doesn't leave the output half updated
+        const flattened = compilations.map((c) => {
+          if (c.compiler) this.useCompiler(c.compiler);
+          this.standardInput = c.standardInput;
+          this.remappings = c.remappings;
+
+          const flattenedFiles = c.sources.map(s => this.flattenedFile(s));
+          this.checkFlattened(flattenedFiles, c.native);
+          return flattenedFiles;
+        });
 
-          if (!this.opts.quiet) console.log('\nErrors/Warnings:\n');
-          output.errors.forEach((e) => {
-            const isError = e.severity === 'error';
-            hasError = hasError || isError;
+        if (!this.opts.quiet) console.log('saving output...');
 
-            if (!isError && this.opts.quiet) return;
-            console.log(`${e.severity.toUpperCase()}: ${e.formattedMessage}`);
+        const artifacts = compilations.reduce((val, c, n) => {
+          const { output } = c;
+          if (c.compiler) this.useCompiler(c.compiler);
+          this.standardInput = c.standardInput;
+          this.remappings = c.remappings;
+          this.compiledSolcVersion = c.compiledSolcVersion;
+          this.nativeSolc = c.native;
+
+          // remove some info from the output before writing. The asts, only output if
+          // selected, are kept for the artifact formats that include them
+          this.sourceAsts = {};
+          Object.keys(output.sources).forEach((k) => {
+            this.sourceAsts[k] = output.sources[k].ast;
+            delete output.sources[k].ast;
+            delete output.sources[k].legacyAST;
+          });
+          const buildInfoDir = path.join(resolveFormatDir(this.opts, 'hardhat'), 'build-info');
+          const buildInfoId = utils
+            .keccak256(JSON.stringify([c.compiledSolcVersion, c.standardInput]))
+            .slice(2, 34);
+          this.buildInfoFile = path.join(buildInfoDir, `${buildInfoId}.json`);
+
+          const generated = c.sources.map(s => this.generateFiles(output, s));
+          flattened[n].forEach(writeFlattened);
+
+          Object.keys(output.contracts).forEach((f) => {
+            Object.keys(output.contracts[f]).forEach((k) => {
+              const { evm } = output.contracts[f][k];
+              if (!evm) return;
+              delete evm.assembly;
+              delete evm.legacyAssembly;
+              if (evm.bytecode) delete evm.bytecode.opcodes;
+              if (evm.deployedBytecode) delete evm.deployedBytecode.opcodes;
+            });
+          });
+          fs.writeFileSync(
+            path.join(this.opts.outputSolDir, `solcStandardOutput${c.suffix}.json`),
+            JSON.stringify(output, null, 2),
+          );
+          const buildInfo = this.artifactFormats().includes('hardhat')
+            ? [this.writeBuildInfo(output)]
+            : [];
+
+          // record everything generated for each source, so it can be pruned once it's stale
+          c.sources.forEach((s, i) => {
+            this.manifest.update(s, Object.assign({}, this.fingerprints[s], {
+              artifacts: generated[i].artifacts,
+              files: generated[i].files.concat(flattened[n][i].file, buildInfo),
+              sizes: sizes.filter(z => z.source === s).reduce((v, z) => Object.assign(v, {
+                [z.contractName]: { deployedSize: z.deployedSize, initSize: z.initSize },
+              }), {}),
+            }));
           });
 
-          if (hasError) {
-            console.log('Compiler errors!\n');
+          return val.concat(...generated.map(g => g.artifacts));
+        }, []);
 
-            const parserError = output.errors.some(e => e.type === 'ParserError');
-            const solcMsg = useNativeSolc ? 'native solc' : 'solcjs';
-            if (parserError) {
-              console.log(`Is ${solcMsg} "${this.compiledSolcVersion}" the correct version needed for your contracts? A ParserError occurred, which will be thrown before the 'pragma' directive is checked. You may need to install a more up-to-date version.\n\n`);
-            }
-            process.exit(1);
-          }
+        pruned = this.prune(previousFiles);
+        this.writeSelectors();
+        this.reportSuppressed(suppressed);
+
+        return Object.assign(result(), {
+          compiled: Object.keys(this.sources),
+          artifacts,
+          warnings,
+        });
+      })
+      .catch((e) => {
+        if (e instanceof BreakSignal) return result();
+        throw e;
+      });
+  }
+
+  /**
+   * flattens a source & its imports w/o compiling, or even loading solc
+   *
+   * @param {string} sourceFile the source to flatten
+   * @returns {Promise} resolves w/ the flattened source
+   */
+  flatten(sourceFile) {
+    return this.loadFile(sourceFile).then(() => {
+      this.loadImportConfig();
+      return this.flattenSource(sourceFile);
+    });
+  }
+
+  /**
+   * recompiles a contract from its artifact w/ the recorded compiler version & settings, to
+   * check that the artifact can be reproduced. The opts.solcVersion is replaced by the
+   * recorded version
+   *
+   * @param {string} artifactFile the path of the artifact
+   * @returns {Promise} resolves w/ {
+   *    contractName,
+   *    contractIdentifier: source:Contract,
+   *    compilerVersion,
+   *    sources: list of { name, origin: disk or embedded },
+   *    bytecode: match, metadata-mismatch or mismatch,
+   *    deployedBytecode: match, metadata-mismatch or mismatch,
+   *    result: match if both are identical, otherwise the worst of the two,
+   *  }
+   *  Rejects if a source doesn't match its recorded hash
+   */
+  rebuild(artifactFile) {
+    return Promise.resolve().then(() => {
+      const artifact = JSON.parse(fs.readFileSync(artifactFile, 'utf8'));
+      const { contractName, source, compiler } = artifact;
+      if (!compiler || !artifact.sources) {
+        throw new Error(`${artifactFile} doesn't record the compiler & sources it was built w/`);
+      }
+
+      const sources = this.loadRebuildSources(artifactFile, artifact);
+      const mismatches = sources
+        .filter(s => utils.keccak256(s.content) !== artifact.sources[s.name].keccak256);
+      if (mismatches.length > 0) {
+        const hint = mismatches.some(s => s.origin === 'disk') ? '. Use --embedded to rebuild from the sources embedded in the verification input' : '';
+        throw new Error(`The sources of ${contractName} have changed since it was built: ${mismatches.map(s => `${s.name} (${s.origin})`).join(', ')}${hint}`);
+      }
+
+      this.opts = Object.assign({}, this.opts, { solcVersion: compiler.version });
+      const native = this.useNativeSolc();
+
+      return (native ? Promise.resolve() : this.setSolidityVersion()).then(() => {
+        this.standardInput = {
+          language: 'Solidity',
+          sources: sources.reduce((val, s) => Object.assign(val, {
+            [s.name]: { content: s.content },
+          }), {}),
+          settings: compiler.settings,
+        };
+
+        const output = this.compileStandardInput(native);
+        const errors = (output.errors || []).filter(e => e.severity === 'error');
+        if (errors.length > 0) {
+          throw new Error(`${contractName} doesn't compile:\n\n${errors.map(e => e.formattedMessage).join('\n')}`);
         }
 
-        if (!this.opts.quiet) console.log('saving output...');
+        const contract = output.contracts[source] && output.contracts[source][contractName];
+        if (!contract) throw new Error(`${contractName} is not declared in ${source}`);
+
+        const res = {
+          contractName,
+          contractIdentifier: `${source}:${contractName}`,
+          compilerVersion: compiler.version,
+          sources: sources.map(s => ({ name: s.name, origin: s.origin })),
+        };
 
-        // remove some info from the output before writing
-        Object.keys(output.sources).forEach((k) => {
-          delete output.sources[k].ast;
-          delete output.sources[k].legacyAST;
+        ['bytecode', 'deployedBytecode'].forEach((key) => {
+          const expected = artifact.compilerOutput.evm && artifact.compilerOutput.evm[key];
+          if (!expected || !expected.object) return;
+
+          const actual = contract.evm[key];
+          const linked = linkBytecode(actual.object, actual.linkReferences, artifact.libraries);
+          res[key] = compareBytecode(expected.object, linked.bytecode);
         });
 
-        Object.keys(this.sources).forEach(s => this.generateFiles(output, s));
+        const results = [res.bytecode, res.deployedBytecode].filter(r => r);
+        if (results.length === 0) throw new Error(`The artifact of ${contractName} has no bytecode`);
+        res.result = ['mismatch', 'metadata-mismatch', 'match'].find(r => results.includes(r));
+        return res;
+      });
+    });
+  }
 
-        Object.keys(output.contracts).forEach((f) => {
-          Object.keys(output.contracts[f]).forEach((k) => {
-            delete output.contracts[f][k].evm.assembly;
-            delete output.contracts[f][k].evm.legacyAssembly;
-            delete output.contracts[f][k].evm.bytecode.opcodes;
-            delete output.contracts[f][k].evm.deployedBytecode.opcodes;
-          });
+  /**
+   * loads the content of the sources of an artifact. Sources are read from disk, unless
+   * opts.embedded is set or the file no longer exists, in which case the content embedded in
+   * the verification input is used
+   *
+   * @returns {array} list of { name, origin: disk or embedded, content }
+   */
+  loadRebuildSources(artifactFile, artifact) {
+    // artifacts of old releases may have been moved out of the artifacts dir
+    const { outputArtifactsDir } = this.opts;
+    const inArtifactsDir = outputArtifactsDir &&
+      !path.relative(outputArtifactsDir, artifactFile).startsWith('..');
+    const dir = inArtifactsDir ? outputArtifactsDir : path.dirname(artifactFile);
+    const inputFile = resolveVerifyFile(dir, artifactFile, 'input');
+    const input = fs.existsSync(inputFile) ? JSON.parse(fs.readFileSync(inputFile, 'utf8')) : undefined;
+
+    return Object.keys(artifact.sources).map((name) => {
+      const { file } = artifact.sources[name];
+
+      if (!this.opts.embedded && file && fs.existsSync(file)) {
+        // the constants the artifact was compiled w/, unless it predates them being recorded
+        const constants = 'constants' in artifact ? artifact.constants : this.opts.constants;
+        const content = this.applyConstants(fs.readFileSync(file, 'utf8'), name, constants);
+        return { name, origin: 'disk', content };
+      }
+      if (input && input.sources[name]) {
+        return { name, origin: 'embedded', content: input.sources[name].content };
+      }
+      throw new Error(`Can't find the content of ${name}: ${file || name} doesn't exist${input ? '' : ` & there is no verification input ${inputFile}`}`);
+    });
+  }
+
+  /**
+   * compiles all sources w/ the devdoc, userdoc & ast selected & writes the markdown docs of
+   * each contract, in the artifactLayout, & an index.html w/ the docs of all contracts. Nothing
+   * else is written
+   *
+   * @param {string} dir the dir to write the docs to
+   * @returns {Promise} resolves w/ { files, missing } the written files & the public functions
+   *                    w/o NatSpec as list of { contract: source:Contract, functions }
+   */
+  docs(dir) {
+    const roots = this.sourceList;
+    let native;
+    this.opts = Object.assign({}, this.opts, {
+      compilerSettings: mergeSettings(this.opts.compilerSettings || {}, {
+        outputSelection: DOCS_OUTPUTS,
+      }),
+    });
+
+    return Promise.all(roots.map(f => this.loadFile(f)))
+      .then(() => {
+        this.sourceList.forEach((s) => {
+          this.fileMap[s] = path.join(process.cwd(), s);
         });
-        fs.writeFileSync(
-          path.join(this.opts.outputSolDir, 'solcStandardOutput.json'),
-          JSON.stringify(output, null, 2),
-        );
+        validateSettings(this.opts.compilerSettings);
+        this.checkArtifactCollisions();
+        this.loadImportConfig();
+
+        native = !this.autoSelectCompiler() && this.useNativeSolc();
+        if (this.autoSelectCompiler() || native) return Promise.resolve();
+        return this.setSolidityVersion();
       })
-      .catch((e) => {
-        if (e instanceof BreakSignal) {
+      .then(() => {
+        const contracts = this.groupSources(roots).reduce((val, group) => {
+          if (group.compiler) this.useCompiler(group.compiler);
+          this.generateStandardJson(group.sources, group.settings);
+          const { standardInput } = this;
+
+          const output = this.compileStandardInput(group.compiler ? this.nativeSolc : native);
+          const errors = (output.errors || []).filter(e => e.severity === 'error');
+          if (errors.length > 0) {
+            throw new Error(`The sources don't compile:\n\n${errors.map(e => e.formattedMessage).join('\n')}`);
+          }
+
+          const sourceLocation = (name, offset) => offsetLocation({
+            file: this.fileMap[name] || path.resolve(name),
+            content: standardInput.sources[name].content,
+          }, offset);
+
+          return val.concat(...group.sources.filter(s => output.contracts[s]).map(s =>
+            Object.keys(output.contracts[s]).map(c => contractDocs(output, s, c, sourceLocation))));
+        }, []);
+
+        const { artifactLayout } = this.opts;
+        const docFile = docs => resolveArtifactFile(dir, docs.source, docs.name, artifactLayout)
+          .replace(/\.json$/, '.md');
+        const linker = from => (target) => {
+          if (typeof target !== 'string') return lineLink(path.dirname(from), target);
+          const base = contracts.find(c => c.name === target);
+          return base && path.relative(path.dirname(from), docFile(base)).split(path.sep).join('/');
+        };
+
+        const files = contracts.map((docs) => {
+          const file = docFile(docs);
+          mkdirp.sync(path.dirname(file));
+          fs.writeFileSync(file, renderMarkdown(docs, linker(file)));
+          return file;
+        });
+
+        const index = path.join(dir, 'index.html');
+        mkdirp.sync(dir);
+        fs.writeFileSync(index, renderHtmlIndex(
+          contracts.map((docs, i) => ({ docs, file: path.relative(dir, files[i]).split(path.sep).join('/') })),
+          linker(index),
+        ));
+
+        const missing = contracts.filter(c => c.missing.length > 0)
+          .map(c => ({ contract: `${c.source}:${c.name}`, functions: c.missing }));
+        if (!this.opts.quiet) {
+          missing.forEach(m => console.log(`warning: ${m.contract} has public functions w/o NatSpec: ${m.functions.join(', ')}`));
+        }
+
+        return { files: files.concat(index), missing };
+      });
+  }
+
+  /**
+   * the bundled solcjs is only loaded once it's used, since loading it is slow
+   */
+  get solc() {
+    if (!this.solcInstance) this.solcInstance = bundledSolc();
+    return this.solcInstance;
+  }
+
+  set solc(solc) {
+    this.solcInstance = solc;
+  }
+
+  /**
+   * validates the includePaths & loads the remappings used to resolve imports
+   */
+  loadImportConfig() {
+    if (this.opts.includePaths !== undefined && !Array.isArray(this.opts.includePaths)) {
+      throw new Error('includePaths must be an array');
+    }
+    this.userRemappings = loadRemappings(this.opts.remappings, this.baseDir);
+  }
+
+  /**
+   * drops any cached contents, hashes & deps for the given files so they are reloaded on
+   * the next compile
+   *
+   * @param {array} files paths of the files that have changed
+   * @returns {array} the root sources that depend on any of the changed files
+   */
+  invalidate(files) {
+    const changed = files.map(f => path.resolve(f));
+    const isChanged = f => changed.includes(this.resolveFile(f));
+
+    const affected = this.sourceList.filter(s =>
+      isChanged(s) || (this.fileDeps[s] || []).some(isChanged));
+
+    ['sources', 'importSources', 'sourceHashes', 'parsed'].forEach((cache) => {
+      Object.keys(this[cache]).filter(isChanged).forEach(f => delete this[cache][f]);
+    });
+
+    // the deps of any file that imports a changed file may have changed as well
+    Object.keys(this.fileDeps)
+      .filter(f => isChanged(f) || this.fileDeps[f].some(isChanged))
+      .forEach(f => delete this.fileDeps[f]);
+
+    return affected;
+  }
+
+  /**
+   * returns the absolute path on disk of a source or import path
+   *
+   * @param {string} f source or import path
+   */
+  resolveFile(f) {
+    return path.resolve(this.fileMap[f] || f);
+  }
+
+  /**
+   * returns the absolute paths of every root source & every file they import. Unlike
+   * resolveImportsFromFile, imports that can't be resolved are skipped, so a missing import
+   * doesn't stop the other files from being watched
+   */
+  resolveWatchedFiles() {
+    const files = new Set();
+    const visit = (f) => {
+      if (files.has(f)) return;
+      files.add(f);
+      if (!this.sources[f] && !this.importSources[f]) return;
+
+      this.parseSource(f).imports.forEach((i) => {
+        let importPath;
+        try {
+          importPath = this.resolveImport(f, i.path);
+        } catch (e) {
+          // the import is watched once it can be resolved
           return;
         }
-        console.error(e);
+        visit(importPath);
       });
+    };
+    this.sourceList.forEach(visit);
+
+    return Array.from(new Set(Array.from(files).map(f => this.resolveFile(f))));
+  }
+
+  /**
+   * groups the sources by their effective compiler settings & compiler. Outputs selected for
+   * specific sources/contracts don't require a separate compilation, so they are merged into
+   * the outputSelection of the group
+   *
+   * @param {array} sources root sources to group
+   * @returns {array} list of { sources, settings, compiler }. compiler is only set when the
+   *                  compiler is selected per source
+   */
+  groupSources(sources) {
+    const groups = [];
+
+    sources.forEach((s) => {
+      const settings = resolveSettings(
+        this.compilerSettings(),
+        s,
+        this.resolveContractsInSource(s),
+      );
+      const compiler = this.autoSelectCompiler() ? this.selectCompiler(s) : undefined;
+      const { outputSelection } = settings;
+      const shared = Object.assign({}, settings, { outputSelection: outputSelection['*'] });
+      const key = JSON.stringify([shared, compiler]);
+
+      let group = groups.find(g => g.key === key);
+      if (!group) {
+        group = {
+          key,
+          sources: [],
+          settings: Object.assign({}, settings, { outputSelection: {} }),
+          compiler,
+        };
+        if (outputSelection['*']) group.settings.outputSelection['*'] = outputSelection['*'];
+        groups.push(group);
+      }
+
+      group.sources.push(s);
+      Object.keys(outputSelection)
+        .filter(f => f !== '*')
+        .forEach((f) => {
+          group.settings.outputSelection[f] = outputSelection[f];
+        });
+    });
+
+    return groups.map(({ sources: groupSources, settings, compiler }) => ({
+      sources: groupSources,
+      settings,
+      compiler,
+    }));
   }
 
   /**
    * generates a solidity standard-json input file
+   *
+   * @param {array} sources (optional) the root sources to include. Default: all sources
+   * @param {object} settings (optional) standard-json settings to use. Default: the
+   *                          compilerSettings option w/o any overrides
    */
-  generateStandardJson() {
+  generateStandardJson(
+    sources = Object.keys(this.sources),
+    settings = resolveSettings(this.compilerSettings()),
+  ) {
+    this.remappings = {};
     const standardInput = {
       language: 'Solidity',
       sources: {},
-      settings: {
-        remappings: [],
-        optimizer: {
-          enabled: true,
-          runs: 200,
-        },
-        metadata: {
-          useLiteralContent: true,
-        },
-        outputSelection: {
-          '*': {
-            '*': [
-              'metadata',
-              'evm.bytecode.object',
-              'evm.bytecode.sourceMap',
-              'abi',
-              'evm.methodIdentifiers',
-              'evm.deployedBytecode.object',
-              'evm.deployedBytecode.sourceMap',
-            ],
-          },
-        },
-      },
+      settings: Object.assign({ remappings: this.userRemappings.map(formatRemapping) }, settings),
     };
 
-    Object.keys(this.sources).forEach((f) => {
+    sources.forEach((f) => {
       const addContract = (c) => {
         if (Object.keys(standardInput.sources).includes(c)) return;
 
@@ -234,7 +822,7 @@ class Solcpiler {
 
       addContract(f);
 
-      // resolve all deps for this contract using regex b/c the solidity AST has
+      // resolve all deps for this contract using the parser b/c the solidity AST has
       // not been generated
       this.resolveImportsFromFile(f).forEach(addContract);
     });
@@ -242,7 +830,7 @@ class Solcpiler {
     // delete source urls if useLiteralContent is true
     // the urls are deleted afterwards instead of simply not being added as they
     // are used for determining any remappings
-    if (standardInput.settings.metadata.useLiteralContent) {
+    if (standardInput.settings.metadata && standardInput.settings.metadata.useLiteralContent) {
       Object.keys(standardInput.sources).forEach(source => delete standardInput.sources[source].urls);
     }
 
@@ -250,56 +838,99 @@ class Solcpiler {
   }
 
   /**
-   * removes any contracts from this.standardInput that have not changed since the last compile
+   * w/ the flat artifactLayout, contracts w/ the same name in different sources would
+   * overwrite each other's artifacts, so we fail before compiling anything
    */
-  removeUnchangedSources(currentVersion) {
-    const unchanged = [];
+  checkArtifactCollisions() {
+    const layout = this.opts.artifactLayout || 'flat';
+    if (!ARTIFACT_LAYOUTS.includes(layout)) {
+      throw new Error(`artifactLayout must be one of: ${ARTIFACT_LAYOUTS.join(', ')}`);
+    }
+    if (layout !== 'flat') return;
 
-    Object.keys(this.sources).forEach((source) => {
-      const contractNames = this.resolveContractsInSource(source);
-      if (contractNames.length === 0) return;
+    const contracts = this.sourceList.reduce((val, s) => {
+      this.loadFileSync(s, true);
+      return Object.assign(val, { [s]: this.resolveContractsInSource(s) });
+    }, {});
 
-      // we only need to check the first artifact b/c all artifacts
-      // for a given source will contain the same imports, solc version,
-      // and keccack256 hash of the file
+    const collisions = findCollisions(contracts);
+    const names = Object.keys(collisions);
+    if (names.length > 0) {
+      throw new Error(`Contracts w/ the same name would overwrite each other's artifacts: ${names.map(n => `${n} (${collisions[n].join(', ')})`).join(', ')}. Rename them, or use the namespaced artifactLayout`);
+    }
+  }
 
-      const artifact = readArtifact(this.opts.outputArtifactsDir, contractNames[0]);
+  /**
+   * throws if sources w/ the same name would overwrite each other's flattened files, see
+   * artifacts.resolveFlattenedFile
+   */
+  checkFlattenedCollisions() {
+    if ((this.opts.artifactLayout || 'flat') !== 'flat') return;
+
+    const collisions = findCollisions(this.sourceList.reduce((val, s) =>
+      Object.assign(val, { [s]: [path.basename(s, '.sol')] }), {}));
+    const names = Object.keys(collisions);
+    if (names.length > 0) {
+      throw new Error(`Sources w/ the same name would overwrite each other's flattened files: ${names.map(n => `${n}.sol (${collisions[n].join(', ')})`).join(', ')}. Rename them, or use the namespaced artifactLayout`);
+    }
+  }
 
-      // artifact file wasn't found, so we need to compile
-      if (!artifact || !artifact.compiler || !artifact.sources) return;
+  /**
+   * builds the manifest entry describing how sourceFile would be compiled now
+   *
+   * @param {string} sourceFile the root source
+   * @param {string} solcVersion the compiler version that would be used
+   */
+  fingerprint(sourceFile, solcVersion) {
+    const deps = this.resolveImportsFromFile(sourceFile);
+    deps.push(sourceFile);
 
-      // different versions, so we need to recompile
-      if (!artifact.compiler.version) return;
-      // using a regex to get version here b/c the compiler version will
-      // contain system info (ex. Darwin.appleclang, which we don't care about
-      if (artifact.compiler.version !== currentVersion) return;
+    const settings = resolveSettings(
+      this.compilerSettings(),
+      sourceFile,
+      this.resolveContractsInSource(sourceFile),
+    );
 
-      // resolve all deps for this contract using regex b/c the solidity AST has
-      // not been generated
-      const contracts = this.resolveImportsFromFile(source);
-      contracts.push(source);
+    return {
+      solcVersion,
+      profile: this.opts.profile,
+      settingsHash: utils.keccak256(JSON.stringify(Object.assign({
+        remappings: this.userRemappings.map(formatRemapping),
+      }, settings))),
+      constantsHash: utils.keccak256(JSON.stringify(this.sourceConstants(sourceFile))),
+      librariesHash: utils.keccak256(JSON.stringify(this.networkLibraries())),
+      artifactLayout: this.opts.artifactLayout || 'flat',
+      artifactFormats: this.artifactFormats().slice().sort().reduce((val, format) =>
+        Object.assign(val, { [format]: resolveFormatDir(this.opts, format) }), {}),
+      dependencies: deps.sort().reduce((val, d) =>
+        Object.assign(val, { [d]: this.hashSource(d) }), {}),
+    };
+  }
 
-      const contractHashes = contracts.reduce((val, c) => {
-        val[c] = this.hashSource(c);
-        return val;
-      }, {});
+  /**
+   * removes any sources from this.sources that have not changed since the last compile,
+   * according to the build manifest. The reason each remaining source needs to be compiled
+   * is stored in this.staleReasons
+   *
+   * @param {string} currentVersion the solc version sources are compiled w/. If undefined, the
+   *                                version is selected per source
+   * @returns {array} the sources that were skipped
+   */
+  removeUnchangedSources(currentVersion) {
+    const unchanged = [];
+    this.fingerprints = {};
+    this.staleReasons = {};
 
-      if (Object.keys(artifact.sources).length !== contracts.length) return;
-
-      // check if any sources have changed
-      let hasChanged = false;
-      contracts.forEach((c) => {
-        if (!this.standardInput.sources[c]) c = this.remappings[c];
-        if (
-          !artifact.sources[c] ||
-          !this.standardInput.sources[c] ||
-          this.standardInput.sources[c].keccak256 !== artifact.sources[c].keccak256
-        ) {
-          hasChanged = true;
-        }
-      });
+    Object.keys(this.sources).forEach((source) => {
+      const version = currentVersion || this.selectCompiler(source).version;
+      this.fingerprints[source] = this.fingerprint(source, version);
+
+      const reason = this.opts.force
+        ? 'forced'
+        : this.manifest.staleReason(source, this.fingerprints[source]);
 
-      if (!hasChanged) unchanged.push(source);
+      if (reason) this.staleReasons[source] = reason;
+      else unchanged.push(source);
     });
 
     if (unchanged.length > 0 && !this.opts.quiet) console.log('\n');
@@ -311,84 +942,115 @@ class Solcpiler {
       delete this.sources[f];
     });
 
-    // determine what contracts we still need to compile
-    const toCompile = Object.keys(this.sources).reduce((val, c) => {
-      val.push(c);
-      return val.concat(this.resolveImportsFromFile(c));
-    }, []);
+    if (unchanged.length > 0 && !this.opts.quiet) console.log('\n');
 
-    // remove any contracts from standardInput that we don't need to compile
-    this.standardInput.settings.remappings = this.standardInput.settings.remappings.filter(remap =>
-      toCompile.includes(remap.split('=')[0]));
+    return unchanged;
+  }
 
-    Object.keys(this.standardInput.sources)
-      .filter(c =>
-        !toCompile.includes(c) &&
-          !this.standardInput.settings.remappings.find(remap => remap.split('=')[1] === c))
-      .forEach(c => delete this.standardInput.sources[c]);
+  /**
+   * parses the top level imports, pragmas & contracts of a source. The result is cached
+   *
+   * @param {string} sourceFile the source to parse
+   * @returns {object} see parser.parse
+   */
+  parseSource(sourceFile) {
+    if (this.parsed[sourceFile]) return this.parsed[sourceFile];
 
-    if (unchanged.length > 0 && !this.opts.quiet) console.log('\n');
+    const contract = this.sources[sourceFile] || this.importSources[sourceFile];
+    if (!contract) {
+      return {
+        imports: [], pragmas: [], contracts: [], licenses: [],
+      };
+    }
+
+    this.parsed[sourceFile] = parse(contract);
+    return this.parsed[sourceFile];
   }
 
   /**
-   * recursively resolves imports for a contract using regex
+   * resolves the direct imports of a source, loading the imported files if necessary
    *
    * @param {string} sourceFile contract file to resolve imports for
+   * @returns {array} the import paths, as solidity will look for them
    */
-  resolveImportsFromFile(sourceFile) {
-    // we use .slice() so the fileDeps aren't modified by the calling function
-    if (this.fileDeps[sourceFile]) return this.fileDeps[sourceFile].slice();
-
-    let imports = [];
+  resolveDirectImports(sourceFile) {
+    return this.parseSource(sourceFile).imports.map(i => this.resolveImport(sourceFile, i.path));
+  }
 
+  /**
+   * resolves an import of a source, loading the imported file if necessary
+   *
+   * @param {string} sourceFile the importing source
+   * @param {string} importFile the import path, as written in the source
+   * @returns {string} the import path, as solidity will look for it
+   * @throws {Error} if the imported file can't be found
+   */
+  resolveImport(sourceFile, importFile) {
     const dirname = path.dirname(sourceFile);
     let prefix = '';
     if (dirname.startsWith('.')) {
       prefix = dirname.split(path.sep)[0] + path.sep;
     }
 
-    const r = /^import[\s]*(['"])(.*)\1;/gm;
-    const contract = this.sources[sourceFile] || this.importSources[sourceFile];
+    // even though a leading './' isn't needed to resolve the file, importPath needs to
+    // match how solidity will look for the file when calling the importCallback (resolvePath),
+    // so we can return the already loaded file, as well as to sanity check the deps that we find
+    // here w/ what solidity returns
+    // user remappings are applied after resolving relative imports, same as solc
+    const importPath = applyRemappings(
+      this.userRemappings,
+      importFile.startsWith('.') ? prefix + path.join(dirname, importFile) : importFile,
+      sourceFile,
+    );
+
+    // loads the contract file if necessary
+    if (!this.sources[importPath] && !this.importSources[importPath]) {
+      const res = this.resolvePath(importPath);
+      if (res.error) throw new Error(`Missing source for import "${importFile}" in ${sourceFile}\n${res.error}`);
+    }
 
-    // find all import statements
-    const matches = contract ? contract.match(r) || [] : [];
-    matches.forEach((i) => {
-      const r2 = /import[\s]*(['"])(.*)\1;/;
-      const importFile = r2.exec(i)[2];
-
-      // even though a leading './' isn't needed to resolve the file, _path needs to
-      // match how solidity will look for the file when calling the importCallback (resolvePath),
-      // so we can return the already loaded file, as well as to sanity check the deps that we find
-      // here w/ what solidity returns
-      const _path = importFile.startsWith('.')
-        ? prefix + path.join(dirname, importFile)
-        : importFile;
-
-      // loads the contract file if necessary
-      if (!this.sources[_path] && !this.importSources[_path]) {
-        const res = this.resolvePath(_path);
-        if (res.error) throw new Error(`Missing source for ${i}\n${res.error}`);
-      }
+    return importPath;
+  }
 
-      imports = imports.concat([...this.resolveImportsFromFile(_path), _path]);
-    });
+  /**
+   * recursively resolves imports for a contract. Dependencies are returned before the
+   * files that import them
+   *
+   * @param {string} sourceFile contract file to resolve imports for
+   */
+  resolveImportsFromFile(sourceFile) {
+    // we use .slice() so the fileDeps aren't modified by the calling function
+    if (this.fileDeps[sourceFile]) return this.fileDeps[sourceFile].slice();
+
+    const deps = [];
+    // solidity allows circular imports, so we keep track of the visited files
+    const visited = new Set([sourceFile]);
+    const visit = (f) => {
+      this.resolveDirectImports(f).forEach((d) => {
+        if (visited.has(d)) return;
+        visited.add(d);
+        visit(d);
+        deps.push(d);
+      });
+    };
+    visit(sourceFile);
 
-    const deps = Array.from(new Set(imports));
     this.fileDeps[sourceFile] = deps.slice();
     return deps;
   }
 
   /**
-   * Generates the *_all.sol & *.json files for the provided sourceFile, using the provided
+   * Generates the *.json artifact files for the provided sourceFile, using the provided
    * compiler output.
    *
    * @param {object} output solcjs compiler output
    * @param {string} sourceFile the contract to generate files for
+   * @returns {object} { artifacts, files } the paths of the generated artifact files & of the
+   *                   verification files
    */
   generateFiles(output, sourceFile) {
     const contractFiles = this.resolveImportsFromFile(sourceFile);
     contractFiles.push(sourceFile);
-    const hasImports = contractFiles.length > 1;
 
     const sources = contractFiles
       .map(f => (output.contracts[f] ? f : this.remappings[f]))
@@ -405,54 +1067,415 @@ class Solcpiler {
       }, {});
 
     // generate artifact file for each contract in sourceFile
-    Object.keys(output.contracts[sourceFile]).forEach((contractName) => {
+    const generated = Object.keys(output.contracts[sourceFile]).map((contractName) => {
       const contract = output.contracts[sourceFile][contractName];
+      const { compilerOutput, linked } = this.linkLibraries(
+        `${sourceFile}:${contractName}`,
+        this.filterCompilerOutput(sourceFile, contractName, contract),
+      );
 
       const artifact = {
         contractName,
         source: sourceFile,
-        compilerOutput: this.filterCompilerOutput(sourceFile, contractName, contract),
+        compilerOutput,
         sources,
+        network: this.opts.network,
+        libraries: linked,
+        constants: this.sourceConstants(sourceFile),
+        profile: this.opts.profile,
         compiler: {
-          name: this.useNativeSolc ? 'solc' : 'solcjs',
+          name: this.useNativeSolc() ? 'solc' : 'solcjs',
           keccak256: this.standardInput.sources[sourceFile].keccak256,
           version: this.compiledSolcVersion.match(SOLC_VERSION_REGEX)[0],
           settings: this.standardInput.settings,
         },
       };
 
-      const artifactFile = resolveArtifactFile(this.opts.outputArtifactsDir, contractName);
-      fs.writeFileSync(artifactFile, JSON.stringify(artifact, null, 2));
+      // the verification files mirror the path of the solcpiler artifact, even if it isn't
+      // written
+      const artifactFile = resolveArtifactFile(
+        this.opts.outputArtifactsDir,
+        sourceFile,
+        contractName,
+        this.opts.artifactLayout,
+      );
+
+      return {
+        artifacts: this.artifactFormats().reduce((val, format) =>
+          val.concat(this.writeArtifact(format, artifact, contract.metadata)), []),
+        files: this.writeVerifyFiles(artifactFile, contract, sources),
+      };
     });
 
-    const contractFileName = sourceFile
-      .split(path.sep)
-      .pop()
-      .replace('.sol', '');
+    return {
+      artifacts: [].concat(...generated.map(g => g.artifacts)),
+      files: [].concat(...generated.map(g => g.files)),
+    };
+  }
 
-    // generate _all.sol file
-    const r = /^import *"(.*)";\n/gm;
+  /**
+   * throws a ContractSizeError if any contract exceeds the sizeLimit. The skipped sources are
+   * checked w/ their sizes in the manifest, so a lower sizeLimit applies w/o recompiling
+   *
+   * @param {array} sizes the sizes of the compiled contracts, see report.contractSizes
+   * @param {array} skipped the root sources that are up to date
+   */
+  checkSizes(sizes, skipped) {
+    const skippedSizes = skipped.reduce((val, source) => {
+      const manifestSizes = this.manifest.sizes(source);
+      return val.concat(Object.keys(manifestSizes).map(contractName =>
+        Object.assign({ source, contractName }, manifestSizes[contractName])));
+    }, []);
 
-    let sol = '';
-    contractFiles.forEach((c) => {
-      let contract = this.sources[c] || this.importSources[c];
-      if (!contract && this.remappings[c]) {
-        c = this.remappings[c];
-        contract = this.sources[c] || this.importSources[c];
-      }
+    const limit = resolveSizeLimit(this.opts);
+    const tooLarge = oversized(sizes.concat(skippedSizes), limit);
+    if (tooLarge.length > 0) throw new ContractSizeError(tooLarge, limit);
+  }
 
-      let prefix;
-      let suffix;
-      if (this.opts.insertFileNames == 'all' || (hasImports && this.opts.insertFileNames == 'imports')) {
-        prefix = `/* file: ${c} */\n`;
-        suffix = `\n/* eof (${c}) */`
-      } else  {
-        prefix = suffix = '';
-      }
-      sol += `${prefix}${contract.replace(r, '')}${suffix}\n`;
+  /**
+   * diffs the abis of the compiled contracts against the baseline, see abidiff.readBaseline.
+   * Only done w/ the abiCheck or stableAbi options. The previous artifacts are the baseline
+   * by default, so this is done before they are overwritten
+   *
+   * @param {array} compilations the compilations of the build
+   * @returns {array} the abi changes, see abidiff.diffArtifacts
+   * @throws {AbiChangeError} if a stableAbi contract has breaking changes
+   */
+  checkAbi(compilations) {
+    const { abiCheck, stableAbi, quiet } = this.opts;
+    if (!abiCheck && !(stableAbi && stableAbi.length > 0)) return [];
+
+    const sources = [].concat(...compilations.map(c => c.sources));
+    const compiled = compilations.reduce((val, c) => val.concat(...c.sources
+      .filter(source => c.output.contracts[source])
+      .map(source => Object.keys(c.output.contracts[source]).map(contractName => ({
+        artifact: {
+          source,
+          contractName,
+          compilerOutput: { abi: c.output.contracts[source][contractName].abi },
+        },
+      })))), []);
+
+    const diffs = diffArtifacts(readBaseline(this.opts), compiled, sources);
+    const breaking = breakingStableChanges(diffs, stableAbi);
+
+    // the breaking changes are printed even in quiet mode, like compiler errors, unless only
+    // the machine readable diagnostics may be printed. The AbiChangeError names the contracts
+    const printed = quiet ? breaking : diffs;
+    if (printed.length > 0 && !printsMachineDiagnostics(this.opts)) {
+      console.log(`abi changes:\n\n${formatAbiDiff(printed, stableAbi)}\n`);
+    }
+
+    if (breaking.length > 0) throw new AbiChangeError(breaking);
+    return diffs;
+  }
+
+  /**
+   * writes the selector registry of all artifacts in the outputArtifactsDir to selectors.json,
+   * see abi.selectorRegistry. The registry is written even if selectors collide, so the
+   * collisions can be inspected
+   *
+   * @throws {SelectorCollisionError} if functions of a contract, or of a proxy in the proxies
+   *                                  option & its implementations, have the same selector
+   */
+  writeSelectors() {
+    const artifacts = readArtifacts(this.opts.outputArtifactsDir);
+    fs.writeFileSync(
+      path.join(this.opts.outputArtifactsDir, SELECTORS_FILE),
+      JSON.stringify(selectorRegistry(artifacts), null, 2),
+    );
+
+    const collisions = selectorCollisions(artifacts, this.opts.proxies);
+    if (collisions.length > 0) throw new SelectorCollisionError(collisions);
+  }
+
+  /**
+   * @returns {object} the compilerSettings option, w/ the gas estimates selected for the
+   *                   gasReport
+   */
+  compilerSettings() {
+    if (!this.opts.gasReport) return this.opts.compilerSettings;
+    return mergeSettings(this.opts.compilerSettings || {}, { outputSelection: [GAS_ESTIMATES] });
+  }
+
+  /**
+   * reports the diagnostics of a compile in the diagnosticsFormat, to the diagnosticsFile if
+   * set, otherwise to the console. The pretty format is always printed to the console, w/o
+   * the warnings in quiet mode
+   *
+   * @param {array} diagnostics see diagnostics.toDiagnostic
+   */
+  reportDiagnostics(diagnostics) {
+    const { diagnosticsFormat = 'pretty', diagnosticsFile, quiet } = this.opts;
+
+    if (diagnosticsFile) {
+      mkdirp.sync(path.dirname(diagnosticsFile));
+      fs.writeFileSync(diagnosticsFile, formatDiagnostics(diagnostics, diagnosticsFormat));
+    } else if (diagnosticsFormat !== 'pretty') {
+      console.log(formatDiagnostics(diagnostics, diagnosticsFormat));
+      return;
+    }
+
+    const printed = diagnostics.filter(d => d.severity === 'error' || !quiet);
+    if (printed.length === 0) return;
+    if (!quiet) console.log('\nErrors/Warnings:\n');
+    console.log(formatDiagnostics(printed));
+  }
+
+  /**
+   * prints the number of warnings suppressed by the warnings option, if any
+   */
+  reportSuppressed(suppressed) {
+    if (suppressed > 0 && !this.opts.quiet) {
+      console.log(`${suppressed} warning${suppressed === 1 ? '' : 's'} suppressed`);
+    }
+  }
+
+  /**
+   * @param {object} standardInput the standard-json input of the compilation
+   * @param {string} name the source unit name of a source in the compilation
+   * @returns {object} { file, content } the path of the source relative to the cwd & its
+   *                   content, see diagnostics.toDiagnostic
+   */
+  resolveDiagnosticSource(standardInput, name) {
+    const source = standardInput.sources[name];
+    return {
+      file: path.relative(process.cwd(), this.fileMap[name] || name),
+      content: source && source.content,
+    };
+  }
+
+  /**
+   * removes the files generated for sources that are no longer in the sourceList, & the files
+   * the latest compile of a source no longer generated, ex. the artifact of a renamed contract
+   *
+   * @param {array} previousFiles the files in the manifest before compiling
+   * @returns {array} the removed files
+   */
+  prune(previousFiles) {
+    this.manifest.retain(this.sourceList);
+    const current = this.manifest.files();
+
+    const stale = previousFiles.filter(f => !current.includes(f));
+    const pruned = removeFiles(stale, outputDirs(this.opts));
+    if (pruned.length > 0 && !this.opts.quiet) {
+      console.log(`removed stale files:\n\n${pruned.join('\n')}\n`);
+    }
+
+    this.manifest.save();
+    return pruned;
+  }
+
+  /**
+   * @returns {array} the artifact formats to write. Default: ['solcpiler']
+   */
+  artifactFormats() {
+    return this.opts.artifactFormats || ['solcpiler'];
+  }
+
+  /**
+   * writes an artifact in one of the artifact formats, see writers.ARTIFACT_WRITERS
+   *
+   * @param {string} format one of ARTIFACT_FORMATS
+   * @param {object} artifact the solcpiler artifact
+   * @param {string} metadata the solc metadata of the contract, if selected
+   * @returns {array} the paths of the written files
+   */
+  writeArtifact(format, artifact, metadata) {
+    const { source } = artifact;
+    const files = ARTIFACT_WRITERS[format](artifact, {
+      dir: resolveFormatDir(this.opts, format),
+      layout: this.opts.artifactLayout,
+      sourcePath: this.fileMap[source],
+      sourceContent: this.sources[source] || this.importSources[source],
+      metadata,
+      ast: this.sourceAsts[source],
+      updatedAt: this.updateTime.toISOString(),
+      buildInfoFile: this.buildInfoFile,
     });
 
-    fs.writeFileSync(path.join(this.opts.outputSolDir, `${contractFileName}_all.sol`), sol);
+    return files.map(({ file, json }) => {
+      mkdirp.sync(path.dirname(file));
+      fs.writeFileSync(file, JSON.stringify(json, null, 2));
+      return file;
+    });
+  }
+
+  /**
+   * writes the hardhat build info of the current compilation, which the .dbg.json file of
+   * each hardhat artifact references
+   *
+   * @param {object} output the standard-json output
+   * @returns {string} the path of the build info
+   */
+  writeBuildInfo(output) {
+    const id = path.basename(this.buildInfoFile, '.json');
+    const version = this.compiledSolcVersion.match(SOLC_VERSION_REGEX)[0];
+
+    mkdirp.sync(path.dirname(this.buildInfoFile));
+    fs.writeFileSync(
+      this.buildInfoFile,
+      JSON.stringify(hardhatBuildInfo(id, version, this.standardInput, output), null, 2),
+    );
+    return this.buildInfoFile;
+  }
+
+  /**
+   * writes the files needed to verify a contract on a block explorer:
+   *
+   *  verify/<Contract>.input.json, a standard-json input w/ only the sources in the contract's
+   *  dependency closure & the exact settings it was compiled w/
+   *  verify/<Contract>.metadata.json, the solc metadata (if selected)
+   *
+   * @param {string} artifactFile the path of the contract's artifact
+   * @param {object} contract the compiler output for the contract
+   * @param {object} sources the sources of the artifact
+   * @returns {array} the paths of the written files
+   */
+  writeVerifyFiles(artifactFile, contract, sources) {
+    const dir = this.opts.outputArtifactsDir;
+    const metadata = contract.metadata ? JSON.parse(contract.metadata) : undefined;
+
+    // the metadata lists exactly the sources solc used for the contract
+    const names = metadata ? Object.keys(metadata.sources) : Object.keys(sources);
+    const input = {
+      language: 'Solidity',
+      sources: names.reduce((val, name) => Object.assign(val, {
+        [name]: { content: this.sources[name] || this.importSources[name] },
+      }), {}),
+      settings: this.standardInput.settings,
+    };
+
+    const inputFile = resolveVerifyFile(dir, artifactFile, 'input');
+    mkdirp.sync(path.dirname(inputFile));
+    fs.writeFileSync(inputFile, JSON.stringify(input, null, 2));
+
+    if (!metadata) return [inputFile];
+
+    const metadataFile = resolveVerifyFile(dir, artifactFile, 'metadata');
+    fs.writeFileSync(metadataFile, JSON.stringify(metadata, null, 2));
+    return [inputFile, metadataFile];
+  }
+
+  /**
+   * flattens the sourceFile & its imports into a single source
+   *
+   * @param {string} sourceFile the root source
+   * @returns {string} the flattened source
+   */
+  flattenSource(sourceFile) {
+    // the same file can be imported under different paths, ex. "lib/A.sol" & "./lib/A.sol",
+    // but may only be inlined once
+    const resolved = new Set();
+    const files = this.resolveImportsFromFile(sourceFile).concat(sourceFile)
+      .filter((f) => {
+        const file = this.resolveFile(f);
+        if (resolved.has(file)) return false;
+        resolved.add(file);
+        return true;
+      })
+      .map((f) => {
+        const name = this.sources[f] || this.importSources[f] ? f : this.remappings[f];
+        return { name, source: this.sources[name] || this.importSources[name] };
+      });
+
+    try {
+      return flatten(files, { insertFileNames: this.opts.insertFileNames });
+    } catch (e) {
+      throw new Error(`Can't flatten ${sourceFile}: ${e.message}`);
+    }
+  }
+
+  /**
+   * flattens the sourceFile, annotated w/ the constants substituted in it
+   *
+   * @returns {object} { file, source } the flattened file to write, see
+   *                   artifacts.resolveFlattenedFile
+   */
+  flattenedFile(sourceFile) {
+    const source = annotateConstants(
+      this.flattenSource(sourceFile),
+      this.sourceConstants(sourceFile),
+    );
+    const file = resolveFlattenedFile(
+      this.opts.outputSolDir,
+      sourceFile,
+      this.opts.artifactLayout,
+    );
+    return { file, source };
+  }
+
+  /**
+   * compiles the flattened files w/ the current compiler & settings, to make sure they are
+   * valid on their own
+   *
+   * @param {array} flattened list of { file, source }
+   * @param {boolean} native compile w/ native solc
+   */
+  checkFlattened(flattened, native) {
+    const { standardInput } = this;
+    const settings = Object.assign({}, standardInput.settings, {
+      outputSelection: { '*': { '*': ['abi'] } },
+    });
+    delete settings.remappings;
+
+    this.standardInput = {
+      language: 'Solidity',
+      sources: flattened.reduce((val, f) => Object.assign(val, {
+        [f.file]: { content: f.source },
+      }), {}),
+      settings,
+    };
+    const output = this.compileStandardInput(native);
+    this.standardInput = standardInput;
+
+    const errors = (output.errors || []).filter(e => e.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`The flattened sources don't compile:\n\n${errors.map(e => e.formattedMessage).join('\n')}`);
+    }
+  }
+
+  /**
+   * @returns {object} the library addresses configured for the network being built for
+   */
+  networkLibraries() {
+    const { libraries = {}, network } = this.opts;
+    return (network && libraries[network]) || {};
+  }
+
+  /**
+   * links the libraries configured for the network into the bytecode of the compiler output
+   *
+   * @param {string} name the contract name, used in messages
+   * @param {object} compilerOutput the filtered compiler output of the contract
+   * @returns {object} { compilerOutput, linked } the compiler output w/ the linked bytecode &
+   *                   the linked libraries as { 'file.sol:Lib': address }
+   */
+  linkLibraries(name, compilerOutput) {
+    const libraries = this.networkLibraries();
+    const linked = {};
+    const unlinked = new Set();
+
+    const evm = ['bytecode', 'deployedBytecode'].reduce((val, key) => {
+      const bytecode = val && val[key];
+      if (!bytecode || !bytecode.object) return val;
+
+      const res = linkBytecode(bytecode.object, bytecode.linkReferences, libraries);
+      Object.assign(linked, res.linked);
+      res.unlinked.forEach(l => unlinked.add(l));
+      return Object.assign({}, val, {
+        [key]: Object.assign({}, bytecode, { object: res.bytecode }),
+      });
+    }, compilerOutput.evm);
+
+    if (unlinked.size > 0 && !this.opts.quiet) {
+      console.log(`${name} requires unlinked libraries: ${Array.from(unlinked).join(', ')}. Configure their addresses in libraries, or link them w/ contracts.link()\n`);
+    }
+
+    return {
+      compilerOutput: evm ? Object.assign({}, compilerOutput, { evm }) : compilerOutput,
+      linked,
+    };
   }
 
   /**
@@ -506,25 +1529,13 @@ class Solcpiler {
   }
 
   /**
-   * // TODO replace regex w/ https://github.com/federicobond/solidity-parser-antlr
-   * resolves contracts and interfaces in a source
+   * resolves contracts, interfaces and libraries in a source
    *
    * @param {string} sourceFile solidity file to resolve contracts for
+   * @returns {array} the names of the declared contracts
    */
   resolveContractsInSource(sourceFile) {
-    const r = /^(?:contract|interface|library)\s+([a-zA-Z0-9$_]+)/gm;
-    const contract = this.sources[sourceFile] || this.importSources[sourceFile];
-
-    if (!contract) return [];
-
-    // find all import statements
-    const matches = [];
-    let match = r.exec(contract);
-    while (match) {
-      matches.push(match[1]);
-      match = r.exec(contract);
-    }
-    return matches;
+    return this.parseSource(sourceFile).contracts.map(c => c.name);
   }
 
   /**
@@ -545,9 +1556,13 @@ class Solcpiler {
       fs.readFile(sourceFile, 'utf8', (err, _srcCode) => {
         if (err) return reject(err);
 
-        if (isDep) this.importSources[sourceFile] = this.applyConstants(_srcCode);
-        else this.sources[sourceFile] = this.applyConstants(_srcCode);
-        resolve();
+        try {
+          if (isDep) this.importSources[sourceFile] = this.applyConstants(_srcCode, sourceFile);
+          else this.sources[sourceFile] = this.applyConstants(_srcCode, sourceFile);
+        } catch (e) {
+          return reject(e);
+        }
+        return resolve();
       });
     });
   }
@@ -563,46 +1578,53 @@ class Solcpiler {
     if (this.opts.verbose) console.log('loading file ->', sourceFile);
 
     const _srcCode = fs.readFileSync(sourceFile, 'utf8');
-    if (isDep) this.importSources[sourceFile] = this.applyConstants(_srcCode);
-    else this.sources[sourceFile] = this.applyConstants(_srcCode);
+    if (isDep) this.importSources[sourceFile] = this.applyConstants(_srcCode, sourceFile);
+    else this.sources[sourceFile] = this.applyConstants(_srcCode, sourceFile);
   }
 
   /**
-   * Returns the contents of the contract at the given _path.
+   * Returns the contents of the contract at the given importPath.
    *
-   * @param {string} _path solidity path for the contract sources to resolve
+   * @param {string} importPath solidity path for the contract sources to resolve
    * @returns {object} obj w/ a single property 'contents' with the contract source
    */
-  resolvePath(_path) {
-    if (this.opts.verbose) console.log(`resolving import -> ${_path}`);
+  resolvePath(importPath) {
+    if (this.opts.verbose) console.log(`resolving import -> ${importPath}`);
 
-    if (this.sources[_path]) return { contents: this.sources[_path] };
-    if (this.importSources[_path]) return { contents: this.importSources[_path] };
+    if (this.sources[importPath]) return { contents: this.sources[importPath] };
+    if (this.importSources[importPath]) return { contents: this.importSources[importPath] };
 
     const load = (f) => {
       this.loadFileSync(f, true);
-      if (f !== _path) {
-        this.fileMap[_path] = f;
-        this.importSources[_path] = this.importSources[f];
+      if (f !== importPath) {
+        this.fileMap[importPath] = f;
+        this.importSources[importPath] = this.importSources[f];
+        // the constants are recorded under the name the compiler input uses as well
+        this.appliedConstants[importPath] = this.appliedConstants[f];
         delete this.sources[f];
       }
-      return { contents: this.importSources[_path] };
+      return { contents: this.importSources[importPath] };
     };
 
-    const file = path.join(this.baseDir, _path);
+    const file = path.join(this.baseDir, importPath);
     if (fs.existsSync(file)) return load(file);
 
-    const contractImportFile = path.join(this.baseDir, 'contracts', _path);
+    const includeFiles = (this.opts.includePaths || [])
+      .map(dir => path.resolve(this.baseDir, dir, importPath));
+    const includeFile = includeFiles.find(f => fs.existsSync(f));
+    if (includeFile) return load(includeFile);
+
+    const contractImportFile = path.join(this.baseDir, 'contracts', importPath);
     if (fs.existsSync(contractImportFile)) return load(contractImportFile);
 
-    const srcImportFile = path.join(this.baseDir, 'src', _path);
+    const srcImportFile = path.join(this.baseDir, 'src', importPath);
     if (fs.existsSync(srcImportFile)) return load(srcImportFile);
 
     let npmImportFile;
     if (require.resolve.path) {
-      npmImportFile = require.resolve(_path, { paths: [this.baseDir] });
+      npmImportFile = require.resolve(importPath, { paths: [this.baseDir] });
     } else {
-      npmImportFile = path.join(this.baseDir, 'node_modules', _path);
+      npmImportFile = path.join(this.baseDir, 'node_modules', importPath);
     }
     if (fs.existsSync(npmImportFile)) return load(npmImportFile);
 
@@ -610,10 +1632,10 @@ class Solcpiler {
       this.gatherLibs();
     }
 
-    if (this.libs[_path]) return load(this.libs[_path]);
+    if (this.libs[importPath]) return load(this.libs[importPath]);
 
     return {
-      error: `Looked in dir: ${_path}, contracts: ${contractImportFile}, src: ${srcImportFile}, npm: ${npmImportFile}, and libs`,
+      error: `Looked in dir: ${importPath}, includePaths: ${includeFiles.join(', ') || 'none'}, contracts: ${contractImportFile}, src: ${srcImportFile}, npm: ${npmImportFile}, and libs`,
     };
   }
 
@@ -639,7 +1661,8 @@ class Solcpiler {
       console.log('\ncollecting lib contracts using glob pattern ->', pattern, '\n');
     }
 
-    const libContracts = globby.sync(pattern);
+    // projects w/o a lib dir have no libs
+    const libContracts = fs.existsSync(path.join(this.baseDir, 'lib')) ? globby.sync(pattern) : [];
     this.libs = {};
     libContracts.forEach((c) => {
       const s = c.split(path.sep).slice(-3);
@@ -663,91 +1686,264 @@ class Solcpiler {
   }
 
   /**
-   * checks to see if solc is natively installed and if the version matches
+   * checks to see if we should use a native solc binary. This is the case if solcPath is set,
+   * or if solc is natively installed (or in the compiler cache) and the version matches. The
+   * result is cached so repeated compiles (ex. in watch mode) don't spawn solc every time
    */
   useNativeSolc() {
-    const res = spawnSync('solc', ['--version']);
-
-    if (res.error || !res.stdout) return false;
+    if (this.nativeSolc !== undefined) return this.nativeSolc;
+    this.nativeSolc = this.checkNativeSolc();
+    return this.nativeSolc;
+  }
 
-    if (!this.opts.solcVersion) return true;
+  checkNativeSolc() {
+    const { solcPath, soljsonPath, solcVersion } = this.opts;
 
-    const match = res.stdout.toString().match(SOLC_VERSION_REGEX);
+    if (solcPath) {
+      const version = nativeVersion(solcPath);
+      if (!version) throw new Error(`solcPath ${solcPath} is not a solc binary`);
+      if (solcVersion && !versionMatches(version, solcVersion)) {
+        throw new Error(`solcPath ${solcPath} is solc ${version}, but solcVersion ${solcVersion} was requested`);
+      }
+      this.solcBin = solcPath;
+      return true;
+    }
 
-    if (!match) return false;
+    if (soljsonPath) return false;
 
-    const v = this.opts.solcVersion.startsWith('v')
-      ? this.opts.solcVersion.slice(1)
-      : this.opts.solcVersion;
+    const version = nativeVersion('solc');
+    if (version && (!solcVersion || versionMatches(version, solcVersion))) return true;
 
-    if (match[0] === v) return true;
+    if (solcVersion) {
+      const cached = this.compilerCache.find(solcVersion);
+      if (cached && cached.type === 'native') {
+        this.solcBin = cached.file;
+        return true;
+      }
+    }
 
-    if (!this.opts.quiet) {
-      console.log(`\nnative solc found, but wrong version... need version ${v}\nusing solcjs`);
+    if (version && !this.opts.quiet) {
+      console.log(`\nnative solc found, but wrong version... need version ${normalizeVersion(solcVersion)}\nusing solcjs`);
     }
     return false;
   }
 
-  compileNativeSolc() {
-    if (!this.opts.quiet) console.log('compiling contracts using native solc\n');
+  /**
+   * the compiler is selected per source when no solcVersion, solcPath or soljsonPath is set
+   */
+  autoSelectCompiler() {
+    return !this.opts.solcVersion && !this.opts.solcPath && !this.opts.soljsonPath;
+  }
+
+  /**
+   * lists the compilers available w/o network access: the bundled solcjs, a native solc in
+   * the PATH & the compilers in the compiler cache
+   *
+   * @returns {array} list of { version, type, file }, newest first. type is one of
+   *                  solcjs (the bundled solcjs), soljson or native
+   */
+  availableCompilers() {
+    if (this.available) return this.available;
+
+    const compilers = [{ version: normalizeVersion(bundledSolc().version()), type: 'solcjs' }];
 
-    const re = /(\d\.\d\.\d+\+commit.*)\n/;
-    let res = execSync('solc --version');
-    this.compiledSolcVersion = res.toString().match(re)[1];
+    const native = nativeVersion('solc');
+    if (native) compilers.push({ version: native, type: 'native', file: 'solc' });
 
-    res = execSync('solc --standard-json', { input: JSON.stringify(this.standardInput) });
-    return JSON.parse(res.toString());
+    this.available = compilers
+      .concat(this.compilerCache.list())
+      .filter(c => semver.valid(c.version))
+      .sort((a, b) => semver.rcompare(a.version, b.version) ||
+        (a.type === 'native' ? -1 : 0) + (b.type === 'native' ? 1 : 0));
+    return this.available;
   }
 
-  getCurrentSolcVersion(useNativeSolc) {
-    if (this.opts.solcVersion) {
-      return this.opts.solcVersion.startsWith('v')
-        ? this.opts.solcVersion.slice(1)
-        : this.opts.solcVersion;
+  /**
+   * selects the newest available compiler satisfying the solidity pragmas of the source and
+   * all of its imports
+   *
+   * @param {string} sourceFile the root source
+   * @returns {object} the compiler, see availableCompilers
+   */
+  selectCompiler(sourceFile) {
+    const pragmas = [sourceFile].concat(this.resolveImportsFromFile(sourceFile))
+      .reduce((val, file) => val.concat(this.parseSource(file).pragmas
+        .filter(p => p.name === 'solidity')
+        .map(p => ({ file, range: p.value }))), []);
+
+    const invalid = pragmas.find(p => !semver.validRange(p.range));
+    if (invalid) throw new Error(`Invalid solidity pragma "${invalid.range}" in ${invalid.file}`);
+
+    const compilers = this.availableCompilers();
+    const compiler = compilers.find(c => pragmas.every(p => semver.satisfies(c.version, p.range)));
+    if (compiler) return compiler;
+
+    let conflict;
+    pragmas.forEach((a, i) => {
+      if (conflict) return;
+      const b = pragmas.slice(i + 1).find(p => !semver.intersects(a.range, p.range));
+      if (b) conflict = [a, b];
+    });
+
+    if (conflict) {
+      throw new Error(`${sourceFile} can not be compiled: ${conflict[0].file} requires solidity ${conflict[0].range}, but ${conflict[1].file} requires solidity ${conflict[1].range}`);
     }
+    throw new CompilerUnavailableError(`No locally available compiler satisfies the solidity pragmas of ${sourceFile} (${pragmas.map(p => p.range).join(', ')}). Available: ${compilers.map(c => c.version).join(', ')}. Add one w/ "solcpiler compilers add <version>"`);
+  }
 
-    const res = useNativeSolc ? execSync('solc --version').toString() : this.solc.version();
-    const match = res.match(SOLC_VERSION_REGEX);
-    return match[0];
+  /**
+   * switches to the given compiler, see availableCompilers
+   */
+  useCompiler(compiler) {
+    this.nativeSolc = compiler.type === 'native';
+
+    if (this.nativeSolc) {
+      this.solcBin = compiler.file;
+      return;
+    }
+
+    if (compiler.type === 'solcjs') {
+      this.solc = bundledSolc();
+    } else {
+      if (!this.loadedSoljson[compiler.file]) {
+        if (!this.opts.quiet) console.log(`loading solc ${compiler.version} from ${compiler.file}\n`);
+        this.loadedSoljson[compiler.file] = loadSoljson(compiler.file);
+      }
+      this.solc = this.loadedSoljson[compiler.file];
+    }
+    this.compiledSolcVersion = this.solc.version();
   }
 
-  applyConstants(src) {
-    let srcOut = src;
+  /**
+   * compiles this.standardInput w/ either native solc or solcjs
+   *
+   * @returns {object} the standard-json output
+   */
+  compileStandardInput(useNativeSolc) {
+    return useNativeSolc
+      ? this.compileNativeSolc()
+      : JSON.parse(this.solc.compileStandardWrapper(JSON.stringify(this.standardInput), _path =>
+        this.resolvePath(_path)));
+  }
 
-    Object.keys(this.opts).forEach((param) => {
-      const value = this.opts[param];
+  compileNativeSolc() {
+    if (!this.opts.quiet) console.log(`compiling contracts using native solc (${this.solcBin})\n`);
 
-      const rule = new RegExp(`constant ${param} = (.*);`, 'gm');
-      const replacedText = `constant ${param} = ${value};`;
+    this.compiledSolcVersion = nativeVersion(this.solcBin);
 
-      srcOut = srcOut.replace(rule, replacedText);
+    const res = spawnSync(this.solcBin, ['--standard-json'], {
+      input: JSON.stringify(this.standardInput),
+      maxBuffer: NATIVE_SOLC_MAX_BUFFER,
     });
+    if (res.error) throw res.error;
+    return JSON.parse(res.stdout.toString());
+  }
+
+  getCurrentSolcVersion(useNativeSolc) {
+    if (this.opts.solcVersion) return normalizeVersion(this.opts.solcVersion);
+
+    if (useNativeSolc) return nativeVersion(this.solcBin);
+    if (this.opts.soljsonPath) this.loadSoljsonPath();
+
+    return normalizeVersion(this.solc.version());
+  }
+
+  loadSoljsonPath() {
+    if (this.soljsonLoaded) return;
 
-    return srcOut;
+    if (!fs.existsSync(this.opts.soljsonPath)) {
+      throw new Error(`soljsonPath ${this.opts.soljsonPath} does not exist`);
+    }
+    this.solc = loadSoljson(this.opts.soljsonPath);
+    this.soljsonLoaded = true;
   }
 
+  /**
+   * substitutes the values of the constants option in their declarations in a source, see
+   * constants.applyConstants. The substituted constants are recorded in this.appliedConstants
+   *
+   * @param {string} src the content of the source
+   * @param {string} sourceFile the source
+   * @param {object} constants (optional) the constants to substitute. Default: the constants
+   *                           option
+   * @returns {string} the content w/ the values substituted
+   */
+  applyConstants(src, sourceFile, constants = this.opts.constants) {
+    const { content, applied } = applyConstants(src, constants, sourceFile);
+    this.appliedConstants[sourceFile] = applied;
+    return content;
+  }
+
+  /**
+   * @param {string} sourceFile the root source
+   * @returns {object} the constants substituted in the sourceFile & its imports, by name
+   */
+  sourceConstants(sourceFile) {
+    const applied = this.resolveImportsFromFile(sourceFile).concat(sourceFile).reduce((val, f) => {
+      const name = this.appliedConstants[f] ? f : this.remappings[f];
+      return Object.assign(val, this.appliedConstants[name]);
+    }, {});
+    return Object.keys(applied).sort().reduce((val, name) =>
+      Object.assign(val, { [name]: applied[name] }), {});
+  }
+
+  /**
+   * throws if any of the constants option isn't declared as a constant in any of the sources
+   */
+  checkUnmatchedConstants() {
+    const applied = Object.keys(this.appliedConstants)
+      .reduce((val, f) => val.concat(Object.keys(this.appliedConstants[f])), []);
+    const unmatched = Object.keys(this.opts.constants || {})
+      .filter(name => !applied.includes(name));
+
+    if (unmatched.length > 0) {
+      throw new Error(`constants not declared in any source: ${unmatched.join(', ')}`);
+    }
+  }
+
+  /**
+   * loads the solcjs compiler to use. In order, this is the soljsonPath, the bundled solcjs
+   * (if the version matches), a soljson from the compiler cache, or a remote soljson w/ the
+   * downloadCompilers option
+   */
   setSolidityVersion() {
-    if (!this.opts.solcVersion) {
+    const { solcVersion, soljsonPath } = this.opts;
+
+    if (soljsonPath) {
+      this.loadSoljsonPath();
+      if (solcVersion && !versionMatches(this.solc.version(), solcVersion)) {
+        return Promise.reject(new Error(`soljsonPath ${soljsonPath} is solc ${normalizeVersion(this.solc.version())}, but solcVersion ${solcVersion} was requested`));
+      }
       this.compiledSolcVersion = this.solc.version();
       return Promise.resolve();
     }
 
-    const v = this.opts.solcVersion.startsWith('v')
-      ? this.opts.solcVersion.slice(1)
-      : this.opts.solcVersion;
-    if (this.solc.version().startsWith(v)) {
+    if (!solcVersion || versionMatches(this.solc.version(), solcVersion)) {
       this.compiledSolcVersion = this.solc.version();
       return Promise.resolve();
     }
 
-    if (!this.opts.quiet) console.log('setting solc version', this.opts.solcVersion, '\n');
+    const cached = this.compilerCache.find(solcVersion);
+    if (cached) {
+      if (!this.opts.quiet) console.log('setting solc version', solcVersion, 'from', cached.file, '\n');
+      this.solc = loadSoljson(cached.file);
+      this.compiledSolcVersion = this.solc.version();
+      return Promise.resolve();
+    }
+
+    if (!this.opts.downloadCompilers) {
+      return Promise.reject(new CompilerUnavailableError(`solc ${solcVersion} is not available locally. Add it to the compiler cache (${this.compilerCache.dir}) w/ "solcpiler compilers add ${solcVersion}", set soljsonPath or solcPath, or use --download-compilers`));
+    }
+
+    if (!this.opts.quiet) console.log(`downloading solc ${solcVersion}...\n`);
 
     return new Promise((resolve, reject) => {
-      this.solc.loadRemoteVersion(this.opts.solcVersion, (err, _solc) => {
+      const v = solcVersion.startsWith('v') ? solcVersion : `v${solcVersion}`;
+      this.solc.loadRemoteVersion(v, (err, _solc) => {
         if (err) return reject(err);
         this.solc = _solc;
         this.compiledSolcVersion = this.solc.version();
-        resolve();
+        return resolve();
       });
     });
   }
@@ -0,0 +1,81 @@
+/**
+ * helpers to map bytecode offsets to source locations using the solc sourceMap
+ */
+
+/**
+ * decodes a compressed solc source map. Each instruction's entry is s:l:f:j, where empty or
+ * missing fields are inherited from the previous entry
+ *
+ * @param {string} sourceMap the compressed source map
+ * @returns {array} an entry { start, length, file, jump } per instruction. file is the source
+ *                  id, or -1 if the instruction isn't associated w/ a source
+ */
+const decodeSourceMap = (sourceMap) => {
+  let prev = {
+    start: -1, length: -1, file: -1, jump: '-',
+  };
+
+  return sourceMap.split(';').map((entry) => {
+    const [s, l, f, j] = entry.split(':');
+    prev = {
+      start: s ? Number(s) : prev.start,
+      length: l ? Number(l) : prev.length,
+      file: f ? Number(f) : prev.file,
+      jump: j || prev.jump,
+    };
+    return prev;
+  });
+};
+
+/**
+ * finds the instruction containing a byte offset. PUSH1-PUSH32 are followed by 1-32 bytes
+ * of data, which belong to the push instruction
+ *
+ * @param {string} code hex bytecode w/o 0x
+ * @param {number} offset the byte offset
+ * @returns {object} { index, offset, opcode } of the instruction
+ */
+const instructionAt = (code, offset) => {
+  let index = 0;
+  let pc = 0;
+
+  while (pc * 2 < code.length) {
+    const opcode = parseInt(code.substr(pc * 2, 2), 16);
+    const size = opcode >= 0x60 && opcode <= 0x7f ? (opcode - 0x5f) + 1 : 1;
+    if (offset < pc + size) return { index, offset: pc, opcode };
+    pc += size;
+    index += 1;
+  }
+
+  return { index, offset: pc, opcode: undefined };
+};
+
+/**
+ * @param {string} source the source code
+ * @param {number} offset the character offset
+ * @returns {object} { line, column } both 1 based
+ */
+const lineColumn = (source, offset) => {
+  const lines = source.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+/**
+ * solc source locations, incl. the source map offsets, are byte offsets into the utf8 encoded
+ * source
+ *
+ * @param {string} content the source code
+ * @param {number} offset the byte offset
+ * @returns {object} { line, column } both 1 based
+ */
+const byteLineColumn = (content, offset) => {
+  const prefix = Buffer.from(content, 'utf8').slice(0, offset).toString('utf8');
+  return lineColumn(prefix, prefix.length);
+};
+
+module.exports = {
+  decodeSourceMap,
+  instructionAt,
+  lineColumn,
+  byteLineColumn,
+};
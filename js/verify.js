@@ -0,0 +1,260 @@
+const fs = require('fs');
+const { readArtifacts, findArtifact, resolveVerifyFile } = require('./artifacts');
+const { encodeConstructorArgs } = require('./abi');
+const { decodeSourceMap, instructionAt, byteLineColumn } = require('./sourcemap');
+
+const readJson = (file, description) => {
+  if (!fs.existsSync(file)) throw new Error(`Missing ${description} ${file}. Recompile w/ --force to generate it`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * creates everything needed to verify a contract on a block explorer
+ *
+ * @param {string} dir the artifacts dir
+ * @param {string} name the contract name, or the fully qualified source:Contract name
+ * @param {array} args the constructor arguments, see encodeConstructorArgs
+ * @returns {object} {
+ *    contractName,
+ *    contractIdentifier: source:Contract,
+ *    compilerVersion: ex. v0.4.24+commit.e67f0147,
+ *    input: the standard-json input,
+ *    constructorArguments: abi encoded hex, w/o 0x,
+ *    libraries: { 'file.sol:Lib': address } linked into the bytecode,
+ *    metadata: the solc metadata, if available
+ *  }
+ */
+const createBundle = (dir, name, args = []) => {
+  const { file, artifact } = findArtifact(readArtifacts(dir), name);
+  const { contractName, source, compilerOutput } = artifact;
+
+  const input = readJson(resolveVerifyFile(dir, file, 'input'), 'verification input');
+  const metadataFile = resolveVerifyFile(dir, file, 'metadata');
+
+  let constructorArguments;
+  try {
+    constructorArguments = encodeConstructorArgs(compilerOutput.abi || [], args);
+  } catch (e) {
+    throw new Error(`${contractName}: ${e.message}`);
+  }
+
+  return {
+    contractName,
+    contractIdentifier: `${source}:${contractName}`,
+    compilerVersion: `v${artifact.compiler.version}`,
+    input,
+    constructorArguments,
+    libraries: artifact.libraries || {},
+    metadata: fs.existsSync(metadataFile) ? readJson(metadataFile, 'metadata') : undefined,
+  };
+};
+
+const normalizeHex = (hex) => {
+  const h = hex.replace(/\s/g, '').replace(/^0x/, '').toLowerCase();
+  if (!/^([0-9a-f]{2})*$/.test(h)) throw new Error('The bytecode is not valid hex');
+  return h;
+};
+
+/**
+ * splits runtime bytecode into the code & the CBOR encoded metadata solc appends to it. The
+ * last 2 bytes are the length of the metadata
+ *
+ * @param {string} bytecode hex bytecode w/o 0x
+ * @returns {object} { code, metadata }
+ */
+const splitMetadata = (bytecode) => {
+  const length = parseInt(bytecode.slice(-4), 16);
+  const start = bytecode.length - ((length + 2) * 2);
+  const first = parseInt(bytecode.substr(start, 2), 16);
+
+  // the metadata is a CBOR map, which starts w/ 0xa0 - 0xbf
+  if (Number.isNaN(length) || start < 0 || !(first >= 0xa0 && first <= 0xbf)) {
+    return { code: bytecode, metadata: '' };
+  }
+  return { code: bytecode.slice(0, start), metadata: bytecode.slice(start) };
+};
+
+/**
+ * @param {string} expected hex bytecode
+ * @param {string} actual hex bytecode
+ * @returns {string} match, metadata-mismatch (only the metadata differs) or mismatch
+ */
+const compareBytecode = (expected, actual) => {
+  const a = splitMetadata(normalizeHex(expected));
+  const b = splitMetadata(normalizeHex(actual));
+  if (a.code !== b.code) return 'mismatch';
+  return a.metadata === b.metadata ? 'match' : 'metadata-mismatch';
+};
+
+/**
+ * the byte ranges of the code that are only known once deployed: library addresses,
+ * immutables & a library's own address
+ *
+ * @param {string} code hex bytecode from the artifact
+ * @param {object} deployedBytecode the deployedBytecode compiler output
+ * @returns {array} list of { start, length }
+ */
+const placeholderRanges = (code, deployedBytecode) => {
+  const { linkReferences = {}, immutableReferences = {} } = deployedBytecode;
+
+  const ranges = Object.keys(linkReferences)
+    .reduce((val, f) => Object.keys(linkReferences[f])
+      .reduce((v, lib) => v.concat(linkReferences[f][lib]), val), [])
+    .concat(Object.keys(immutableReferences)
+      .reduce((val, id) => val.concat(immutableReferences[id]), []));
+
+  // placeholders w/o linkReferences, ex. __contracts/Lib.sol:Lib__ or __$<hash>$__
+  const placeholder = /__.{38}/g;
+  let match = placeholder.exec(code);
+  while (match) {
+    if (match.index % 2 === 0) ranges.push({ start: match.index / 2, length: 20 });
+    match = placeholder.exec(code);
+  }
+
+  // libraries push their own address, which is zero until deployed
+  if (/^73(00){20}/.test(code)) ranges.push({ start: 1, length: 20 });
+
+  return ranges;
+};
+
+/**
+ * finds the source location of the instruction at a byte offset
+ *
+ * @returns {object} { file, start, length, line, column, snippet }, or undefined if the
+ *                   instruction isn't associated w/ a source
+ */
+const sourceLocation = (dir, file, artifact, instruction) => {
+  const { sourceMap } = artifact.compilerOutput.evm.deployedBytecode;
+  if (!sourceMap) return undefined;
+
+  const entry = decodeSourceMap(sourceMap)[instruction.index];
+  if (!entry || entry.file === -1) return undefined;
+
+  const name = Object.keys(artifact.sources).find(s => artifact.sources[s].id === entry.file);
+  if (!name) return undefined;
+
+  const inputFile = resolveVerifyFile(dir, file, 'input');
+  const input = fs.existsSync(inputFile) ? JSON.parse(fs.readFileSync(inputFile, 'utf8')) : undefined;
+  const content = input && input.sources[name]
+    ? input.sources[name].content
+    : fs.readFileSync(artifact.sources[name].file, 'utf8');
+
+  const { line, column } = byteLineColumn(content, entry.start);
+  return {
+    file: name,
+    start: entry.start,
+    length: entry.length,
+    line,
+    column,
+    snippet: content.split('\n')[line - 1],
+  };
+};
+
+/**
+ * compares deployed runtime bytecode to the deployedBytecode of a contract's artifact,
+ * ignoring the placeholders for values only known once deployed
+ *
+ * @param {string} dir the artifacts dir
+ * @param {string} name the contract name, or the fully qualified source:Contract name
+ * @param {string} bytecode the deployed runtime bytecode as hex
+ * @returns {object} {
+ *    contractName,
+ *    contractIdentifier: source:Contract,
+ *    result: match, metadata-mismatch (only the metadata differs) or mismatch,
+ *    diff: for a mismatch, the first difference as {
+ *      offset: the byte offset,
+ *      expected: the byte in the artifact, or undefined if the artifact's code is shorter,
+ *      actual: the deployed byte, or undefined if the deployed code is shorter,
+ *      instruction: { index, offset, opcode } the instruction in the artifact's code,
+ *      location: { file, start, length, line, column, snippet } see sourceLocation,
+ *    },
+ *  }
+ */
+const verifyBytecode = (dir, name, bytecode) => {
+  const { file, artifact } = findArtifact(readArtifacts(dir), name);
+  const { contractName, source, compilerOutput } = artifact;
+  const deployedBytecode = compilerOutput.evm && compilerOutput.evm.deployedBytecode;
+  if (!deployedBytecode || !deployedBytecode.object) {
+    throw new Error(`The artifact of ${contractName} has no deployedBytecode`);
+  }
+
+  const expected = splitMetadata(deployedBytecode.object.toLowerCase());
+  const actual = splitMetadata(normalizeHex(bytecode));
+  const ignored = placeholderRanges(expected.code, deployedBytecode);
+  const isIgnored = i => ignored.some(r => i >= r.start && i < r.start + r.length);
+
+  const res = { contractName, contractIdentifier: `${source}:${contractName}` };
+
+  const length = Math.max(expected.code.length, actual.code.length) / 2;
+  let offset = 0;
+  while (offset < length && (isIgnored(offset) ||
+    expected.code.substr(offset * 2, 2) === actual.code.substr(offset * 2, 2))) {
+    offset += 1;
+  }
+
+  if (offset === length) {
+    res.result = expected.metadata === actual.metadata ? 'match' : 'metadata-mismatch';
+    return res;
+  }
+
+  const instruction = instructionAt(expected.code, offset);
+  res.result = 'mismatch';
+  res.diff = {
+    offset,
+    expected: expected.code.substr(offset * 2, 2) || undefined,
+    actual: actual.code.substr(offset * 2, 2) || undefined,
+    instruction,
+    location: sourceLocation(dir, file, artifact, instruction),
+  };
+  return res;
+};
+
+/**
+ * @param {object} res the result of verifyBytecode
+ * @returns {string} a human readable description of the result
+ */
+const formatVerifyResult = (res) => {
+  if (res.result === 'match') return `${res.contractIdentifier}: the bytecode matches`;
+  if (res.result === 'metadata-mismatch') {
+    return `${res.contractIdentifier}: the code matches, but the metadata differs. The sources or settings differ in a way that doesn't change the code, ex. comments`;
+  }
+
+  const { diff } = res;
+  const hex = b => (b === undefined ? 'end of code' : `0x${b}`);
+  const opcode = diff.instruction.opcode === undefined ? '' : `, opcode 0x${diff.instruction.opcode.toString(16).padStart(2, '0')}`;
+  let msg = `${res.contractIdentifier}: the bytecode differs at byte ${diff.offset} (instruction ${diff.instruction.index}${opcode}): expected ${hex(diff.expected)}, got ${hex(diff.actual)}`;
+
+  if (diff.location) {
+    const { file, line, column } = diff.location;
+    msg += `\n  at ${file}:${line}:${column}\n  ${diff.location.snippet.trim()}`;
+  }
+  return msg;
+};
+
+/**
+ * @param {object} res the result of Solcpiler.rebuild
+ * @returns {string} a human readable description of the result
+ */
+const formatRebuildResult = (res) => {
+  const describe = {
+    match: 'identical',
+    'metadata-mismatch': 'the code is identical, but the metadata differs',
+    mismatch: 'differs',
+  };
+
+  return [`${res.contractIdentifier}: rebuilt w/ solc ${res.compilerVersion} from`]
+    .concat(res.sources.map(s => `  ${s.name} (${s.origin})`))
+    .concat(['bytecode', 'deployedBytecode']
+      .filter(key => res[key])
+      .map(key => `${key}: ${describe[res[key]]}`))
+    .join('\n');
+};
+
+module.exports = {
+  createBundle,
+  splitMetadata,
+  compareBytecode,
+  verifyBytecode,
+  formatVerifyResult,
+  formatRebuildResult,
+};
@@ -0,0 +1,104 @@
+const minimatch = require('minimatch');
+
+const RULE_KEYS = ['code', 'message', 'file'];
+
+// `// solcpiler-disable-next-line` optionally followed by the codes to disable
+const DISABLE_NEXT_LINE = /\/\/\s*solcpiler-disable-next-line\b([^\n]*)/;
+
+/**
+ * validates the warnings option
+ *
+ * @param {object} warnings {
+ *    asErrors: fail the build on any warning that isn't suppressed,
+ *    suppress: list of rules w/ any of: code, the solc error code. message, a regexp
+ *      matched against the message. file, a glob matched against the file of the warning.
+ *      A warning is suppressed if it matches all the keys of any rule,
+ *  }
+ */
+const validateWarnings = (warnings) => {
+  if (warnings === undefined) return;
+  if (typeof warnings !== 'object' || Array.isArray(warnings)) {
+    throw new Error('warnings must be an object w/ asErrors and/or suppress');
+  }
+  if (warnings.suppress === undefined) return;
+  if (!Array.isArray(warnings.suppress)) throw new Error('warnings.suppress must be an array');
+
+  warnings.suppress.forEach((rule) => {
+    const keys = Object.keys(rule || {});
+    if (keys.length === 0 || keys.some(k => !RULE_KEYS.includes(k))) {
+      throw new Error(`Invalid warnings.suppress rule: ${JSON.stringify(rule)}. Use any of: ${RULE_KEYS.join(', ')}`);
+    }
+    if (rule.message !== undefined) {
+      try {
+        new RegExp(rule.message); // eslint-disable-line no-new
+      } catch (e) {
+        throw new Error(`Invalid warnings.suppress message pattern: ${rule.message}`);
+      }
+    }
+  });
+};
+
+/**
+ * finds the `// solcpiler-disable-next-line [codes]` comments of a source
+ *
+ * @param {string} content the source
+ * @returns {object} maps each disabled line (1 based) to the list of disabled codes. An empty
+ *                   list disables all warnings of the line
+ */
+const disabledLines = content => content.split('\n').reduce((val, line, i) => {
+  const match = line.match(DISABLE_NEXT_LINE);
+  if (!match) return val;
+  return Object.assign(val, { [i + 2]: match[1].split(/[\s,]+/).filter(c => c) });
+}, {});
+
+const matchesRule = (diagnostic, rule) =>
+  (rule.code === undefined || String(rule.code) === String(diagnostic.code)) &&
+  (rule.message === undefined || new RegExp(rule.message).test(diagnostic.message)) &&
+  (rule.file === undefined ||
+    (diagnostic.file !== undefined && minimatch(diagnostic.file, rule.file, { dot: true })));
+
+/**
+ * applies the warnings option & the inline comments to the diagnostics of a compile. Errors
+ * are never suppressed
+ *
+ * @param {array} diagnostics see diagnostics.toDiagnostic
+ * @param {object} warnings the warnings option, see validateWarnings
+ * @param {function} contentOf called w/ the file of a diagnostic, returns its content, if known
+ * @returns {object} { diagnostics, suppressed } the diagnostics w/o the suppressed warnings,
+ *                   w/ severity error if warnings.asErrors is set, & the suppressed warnings
+ */
+const applyWarningPolicy = (diagnostics, warnings = {}, contentOf) => {
+  const rules = warnings.suppress || [];
+  const disabled = {};
+  const disabledCodes = (d) => {
+    if (d.file === undefined || d.line === undefined) return undefined;
+    if (!disabled[d.file]) {
+      const content = contentOf(d.file);
+      disabled[d.file] = content ? disabledLines(content) : {};
+    }
+    return disabled[d.file][d.line];
+  };
+
+  const isSuppressed = (d) => {
+    if (d.severity === 'error') return false;
+    const codes = disabledCodes(d);
+    if (codes && (codes.length === 0 || codes.includes(String(d.code)))) return true;
+    return rules.some(rule => matchesRule(d, rule));
+  };
+
+  const suppressed = diagnostics.filter(isSuppressed);
+  return {
+    diagnostics: diagnostics
+      .filter(d => !suppressed.includes(d))
+      .map(d => (warnings.asErrors && d.severity !== 'error'
+        ? Object.assign({}, d, { severity: 'error' })
+        : d)),
+    suppressed,
+  };
+};
+
+module.exports = {
+  validateWarnings,
+  disabledLines,
+  applyWarningPolicy,
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const globby = require('globby');
+const Solcpiler = require('./solcpiler');
+const { CompilationError } = require('./errors');
+
+const DEBOUNCE_MS = 100;
+
+/**
+ * returns the leading directory of a glob pattern, ex. './contracts/**\/*.sol' -> './contracts'
+ *
+ * @param {string} pattern glob pattern
+ */
+const globBase = (pattern) => {
+  const parts = pattern.split('/');
+  const i = parts.findIndex(p => /[*?[\]{}()!]/.test(p));
+  const base = parts.slice(0, i === -1 ? parts.length - 1 : i).join('/');
+  return path.resolve(base || '.');
+};
+
+const time = () => new Date().toTimeString().split(' ')[0];
+
+/**
+ * Keeps a single Solcpiler instance alive and recompiles the root sources affected by
+ * any change to the input files or their imports. Keeping the instance around means the
+ * loaded solc version, file contents & hashes are reused between builds.
+ */
+class Watcher {
+  /**
+   * @param {object} opts solcpiler options
+   */
+  constructor(opts) {
+    this.opts = Object.assign({}, opts, { watch: true });
+    this.solcpiler = new Solcpiler(this.opts, globby.sync(this.opts.input));
+    this.fileWatchers = {};
+    this.dirWatchers = {};
+    this.pending = new Set();
+    this.building = false;
+    this.timer = undefined;
+  }
+
+  /**
+   * runs a full build and starts watching the sources
+   *
+   * @returns {Promise} resolves once the initial build has finished
+   */
+  start() {
+    if (!this.opts.quiet) console.log('watching for changes...\n');
+    return this.build(this.solcpiler.sourceList);
+  }
+
+  /**
+   * stops watching all files & directories
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.closed = true;
+    Object.keys(this.fileWatchers).forEach(f => this.fileWatchers[f].close());
+    Object.keys(this.dirWatchers).forEach(d => this.dirWatchers[d].close());
+    this.fileWatchers = {};
+    this.dirWatchers = {};
+  }
+
+  build(roots) {
+    const start = Date.now();
+    this.building = true;
+
+    return this.solcpiler.compile(roots)
+      .then(res => Object.assign({ failed: [] }, res), (err) => {
+        // compiler errors have already been printed by solcpiler
+        if (!(err instanceof CompilationError)) console.error(err);
+        return {
+          compiled: [],
+          skipped: [],
+          failed: err instanceof CompilationError ? err.sources : roots,
+        };
+      })
+      .then((res) => {
+        this.printSummary(res, Date.now() - start);
+        this.building = false;
+        this.updateWatchers();
+        if (this.pending.size > 0) this.schedule();
+      })
+      .catch((err) => {
+        // the watcher is long lived, so it keeps watching the files it knows of
+        this.building = false;
+        console.error(err);
+      });
+  }
+
+  printSummary({ compiled, skipped, failed }, ms) {
+    if (this.opts.quiet && failed.length === 0) return;
+
+    const summary = [`compiled ${compiled.length}`, `skipped ${skipped.length}`];
+    if (failed.length > 0) summary.push(`failed ${failed.length} (${failed.join(', ')})`);
+
+    console.log(`[${time()}] ${summary.join(', ')} in ${ms}ms`);
+  }
+
+  /**
+   * watches every root source & import, as well as the base dir of every input glob so new
+   * or deleted sources are picked up
+   */
+  updateWatchers() {
+    if (this.closed) return;
+
+    const files = this.solcpiler.resolveWatchedFiles();
+    files
+      .filter(f => !this.fileWatchers[f] && fs.existsSync(f))
+      .forEach((f) => {
+        this.fileWatchers[f] = fs.watch(f, (event) => {
+          // editors often save by renaming, which ends this watcher. It is re-created after
+          // the next build
+          if (event === 'rename') {
+            this.fileWatchers[f].close();
+            delete this.fileWatchers[f];
+          }
+          this.onChange(f);
+        });
+      });
+
+    // no longer imported by any source
+    Object.keys(this.fileWatchers)
+      .filter(f => !files.includes(f))
+      .forEach((f) => {
+        this.fileWatchers[f].close();
+        delete this.fileWatchers[f];
+      });
+
+    const dirs = [].concat(this.opts.input).map(globBase)
+      .concat(this.solcpiler.sourceList.map(s => path.dirname(path.resolve(s))));
+    Array.from(new Set(dirs))
+      .filter(d => !this.dirWatchers[d] && fs.existsSync(d))
+      .forEach((d) => {
+        this.dirWatchers[d] = fs.watch(d, () => this.onChange());
+      });
+  }
+
+  /**
+   * @param {string} file (optional) the file that changed. If not provided, the input globs
+   *                      are re-evaluated
+   */
+  onChange(file) {
+    this.pending.add(file || '');
+    this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (this.building || this.closed) return;
+
+      const changed = Array.from(this.pending).filter(f => f);
+      this.pending.clear();
+
+      try {
+        const added = this.refreshSourceList();
+        const roots = this.solcpiler.invalidate(changed).concat(added);
+        if (roots.length === 0) {
+          this.updateWatchers();
+          return;
+        }
+
+        if (!this.opts.quiet) {
+          console.log(`\n[${time()}] change detected, recompiling ${roots.join(', ')}\n`);
+        }
+        this.build(Array.from(new Set(roots)));
+      } catch (err) {
+        console.error(err);
+      }
+    }, DEBOUNCE_MS);
+  }
+
+  /**
+   * re-evaluates the input globs
+   *
+   * @returns {array} any new root sources
+   */
+  refreshSourceList() {
+    const files = globby.sync(this.opts.input);
+    const { sourceList } = this.solcpiler;
+
+    const added = files.filter(f => !sourceList.includes(f));
+    this.solcpiler.sourceList = files;
+
+    return added;
+  }
+}
+
+module.exports = Watcher;
@@ -0,0 +1,157 @@
+const path = require('path');
+const { resolveArtifactFile } = require('./artifacts');
+const {
+  ARTIFACT_FORMATS,
+  HARDHAT_ARTIFACT,
+  HARDHAT_DBG,
+  HARDHAT_BUILD_INFO,
+} = require('./formats');
+
+const TRUFFLE_SCHEMA_VERSION = '3.4.16';
+
+const hex = object => `0x${object || ''}`;
+
+/**
+ * @param {object} opts solcpiler options
+ * @param {string} format one of ARTIFACT_FORMATS
+ * @returns {string} the dir the artifacts of the format are written to. solcpiler artifacts
+ *                   are written to the outputArtifactsDir, the other formats to
+ *                   artifactFormatDirs[format]. Default: <outputArtifactsDir>/<format>
+ */
+const resolveFormatDir = (opts, format) => {
+  if (format === 'solcpiler') return opts.outputArtifactsDir;
+  return (opts.artifactFormatDirs || {})[format] || path.join(opts.outputArtifactsDir, format);
+};
+
+/**
+ * validates the artifactFormats & artifactFormatDirs options
+ */
+const validateArtifactFormats = (formats, dirs) => {
+  if (formats !== undefined) {
+    if (!Array.isArray(formats) || formats.length === 0) {
+      throw new Error('artifactFormats must be a non empty array');
+    }
+    const unknown = formats.find(f => !ARTIFACT_FORMATS.includes(f));
+    if (unknown) {
+      throw new Error(`Unknown artifact format: ${unknown}. Use one of: ${ARTIFACT_FORMATS.join(', ')}`);
+    }
+  }
+
+  if (dirs !== undefined) {
+    const invalid = Object.keys(dirs).find(f => f === 'solcpiler' || !ARTIFACT_FORMATS.includes(f));
+    if (invalid) {
+      throw new Error(`artifactFormatDirs can't set the dir of ${invalid}. Use one of: ${ARTIFACT_FORMATS.slice(1).join(', ')}`);
+    }
+  }
+};
+
+/**
+ * the build info of a hardhat compilation, referenced by the .dbg.json file of each artifact
+ *
+ * @param {string} id the build info id
+ * @param {string} version the full solc version
+ * @param {object} input the standard-json input
+ * @param {object} output the standard-json output
+ */
+const hardhatBuildInfo = (id, version, input, output) => ({
+  _format: HARDHAT_BUILD_INFO,
+  id,
+  solcVersion: version.split('+')[0],
+  solcLongVersion: version,
+  input,
+  output,
+});
+
+/**
+ * Each writer converts a solcpiler artifact to its format & returns the files to write as
+ * { file, json }. ctx is {
+ *    dir: the dir of the format, see resolveFormatDir,
+ *    layout: the artifactLayout,
+ *    sourcePath: the path of the contract's source on disk,
+ *    sourceContent: the content of the contract's source,
+ *    metadata: the solc metadata of the contract, if selected,
+ *    ast: the ast of the contract's source, if selected,
+ *    updatedAt: the time of the build,
+ *    buildInfoFile: the path of the hardhat build info,
+ *  }
+ */
+const ARTIFACT_WRITERS = {
+  solcpiler: (artifact, ctx) => [{
+    file: resolveArtifactFile(ctx.dir, artifact.source, artifact.contractName, ctx.layout),
+    json: artifact,
+  }],
+
+  truffle: (artifact, ctx) => {
+    const { contractName, compilerOutput } = artifact;
+    const evm = compilerOutput.evm || {};
+    const bytecode = evm.bytecode || {};
+    const deployedBytecode = evm.deployedBytecode || {};
+
+    const json = {
+      contractName,
+      abi: compilerOutput.abi || [],
+      metadata: ctx.metadata || '',
+      bytecode: hex(bytecode.object),
+      deployedBytecode: hex(deployedBytecode.object),
+      linkReferences: bytecode.linkReferences || {},
+      deployedLinkReferences: deployedBytecode.linkReferences || {},
+      immutableReferences: deployedBytecode.immutableReferences || {},
+      sourceMap: bytecode.sourceMap || '',
+      deployedSourceMap: deployedBytecode.sourceMap || '',
+      source: ctx.sourceContent,
+      sourcePath: ctx.sourcePath,
+    };
+    if (ctx.ast) json.ast = ctx.ast;
+    if (compilerOutput.devdoc) json.devdoc = compilerOutput.devdoc;
+    if (compilerOutput.userdoc) json.userdoc = compilerOutput.userdoc;
+
+    return [{
+      file: resolveArtifactFile(ctx.dir, artifact.source, contractName, ctx.layout),
+      json: Object.assign(json, {
+        compiler: { name: 'solc', version: artifact.compiler.version },
+        // filled in by truffle when deploying
+        networks: {},
+        schemaVersion: TRUFFLE_SCHEMA_VERSION,
+        updatedAt: ctx.updatedAt,
+      }),
+    }];
+  },
+
+  // hardhat artifacts are always namespaced by source
+  hardhat: (artifact, ctx) => {
+    const { contractName, source, compilerOutput } = artifact;
+    const evm = compilerOutput.evm || {};
+    const bytecode = evm.bytecode || {};
+    const deployedBytecode = evm.deployedBytecode || {};
+
+    const file = resolveArtifactFile(ctx.dir, source, contractName, 'namespaced');
+    const dbgFile = file.replace(/\.json$/, '.dbg.json');
+
+    return [{
+      file,
+      json: {
+        _format: HARDHAT_ARTIFACT,
+        contractName,
+        sourceName: source,
+        abi: compilerOutput.abi || [],
+        bytecode: hex(bytecode.object),
+        deployedBytecode: hex(deployedBytecode.object),
+        linkReferences: bytecode.linkReferences || {},
+        deployedLinkReferences: deployedBytecode.linkReferences || {},
+      },
+    }, {
+      file: dbgFile,
+      json: {
+        _format: HARDHAT_DBG,
+        buildInfo: path.relative(path.dirname(dbgFile), ctx.buildInfoFile).split(path.sep).join('/'),
+      },
+    }];
+  },
+};
+
+module.exports = {
+  ARTIFACT_WRITERS,
+  resolveFormatDir,
+  validateArtifactFormats,
+  hardhatBuildInfo,
+};
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const abiCoder = require('web3-eth-abi');
+const {
+  encodeConstructorArgs,
+  selectorRegistry,
+  selectorCollisions,
+  validateProxies,
+  decodeCalldata,
+  decodeLog,
+} = require('../js/abi');
+
+const fn = (name, inputs = []) => ({
+  type: 'function',
+  name,
+  inputs: inputs.map(([type, n]) => ({ name: n || '', type })),
+  outputs: [],
+});
+
+const artifact = (source, contractName, abi) => ({
+  artifact: { source, contractName, compilerOutput: { abi } },
+});
+
+const transfer = fn('transfer', [['address', 'to'], ['uint256', 'value']]);
+const transferEvent = {
+  type: 'event',
+  name: 'Transfer',
+  inputs: [
+    { name: 'from', type: 'address', indexed: true },
+    { name: 'value', type: 'uint256', indexed: false },
+  ],
+};
+const to = '0x00000000000000000000000000000000000000aa';
+
+describe('abi', () => {
+  describe('selectorRegistry', () => {
+    it('maps the selectors & topics to their contracts', () => {
+      const registry = selectorRegistry([
+        artifact('A.sol', 'A', [transfer, transferEvent, { ...transferEvent, name: 'Anon', anonymous: true }]),
+        artifact('B.sol', 'B', [transfer]),
+      ]);
+
+      assert.deepEqual(registry.functions['0xa9059cbb'].map(e => [e.contract, e.signature]), [
+        ['A.sol:A', 'transfer(address,uint256)'],
+        ['B.sol:B', 'transfer(address,uint256)'],
+      ]);
+      assert.deepEqual(Object.keys(registry.events), [abiCoder.encodeEventSignature('Transfer(address,uint256)')]);
+      assert.deepEqual(registry.errors, {});
+    });
+  });
+
+  describe('selectorCollisions', () => {
+    // burn(uint256) & collate_propagate_storage(bytes16) share the selector 0x42966c68
+    const burn = fn('burn', [['uint256']]);
+    const collate = fn('collate_propagate_storage', [['bytes16']]);
+
+    it('finds the proxy functions shadowing an implementation', () => {
+      const artifacts = [
+        artifact('Proxy.sol', 'Proxy', [collate, fn('upgrade', [['address']])]),
+        artifact('Token.sol', 'Token', [burn, transfer]),
+      ];
+      assert.deepEqual(selectorCollisions(artifacts, { Proxy: ['Token.sol:Token'] }), [{
+        selector: '0x42966c68',
+        contracts: ['Proxy.sol:Proxy', 'Token.sol:Token'],
+        signatures: ['collate_propagate_storage(bytes16)', 'burn(uint256)'],
+      }]);
+    });
+
+    it('only checks the configured proxies', () => {
+      assert.deepEqual(selectorCollisions([artifact('A.sol', 'A', [burn]), artifact('B.sol', 'B', [collate])]), []);
+    });
+
+    it('fails on an unknown implementation', () => {
+      assert.throws(() => selectorCollisions([artifact('A.sol', 'A', [])], { A: ['B'] }), /No artifact found for B/);
+    });
+  });
+
+  describe('validateProxies', () => {
+    it('expects a map of proxies to implementation names', () => {
+      validateProxies({ Proxy: ['Token'] });
+      assert.throws(() => validateProxies({ Proxy: 'Token' }), /proxies must map/);
+      assert.throws(() => validateProxies(['Proxy']), /proxies must map/);
+    });
+  });
+
+  describe('encodeConstructorArgs', () => {
+    const abi = [{ type: 'constructor', inputs: [{ name: 'a', type: 'uint256' }, { name: 'b', type: 'bool' }] }];
+
+    it('encodes the args by type', () => {
+      assert.equal(encodeConstructorArgs(abi, ['1', 'true']), abiCoder.encodeParameters(['uint256', 'bool'], ['1', true]).slice(2));
+      assert.equal(encodeConstructorArgs([], []), '');
+    });
+
+    it('fails on the wrong number of args', () => {
+      assert.throws(() => encodeConstructorArgs(abi, ['1']), /expects 2 arguments \(uint256 a, bool b\), but got 1/);
+    });
+  });
+
+  describe('decode', () => {
+    const registry = selectorRegistry([artifact('A.sol', 'A', [transfer, transferEvent])]);
+
+    it('decodes calldata by parameter name', () => {
+      const hex = abiCoder.encodeFunctionCall(transfer, [to, '5']);
+      const decoded = decodeCalldata(registry, hex);
+      assert.equal(decoded.type, 'function');
+      assert.equal(decoded.signature, 'transfer(address,uint256)');
+      assert.deepEqual(decoded.contracts, ['A.sol:A']);
+      assert.equal(decoded.args.to.toLowerCase(), to);
+      assert.equal(decoded.args.value, '5');
+      assert.throws(() => decodeCalldata(registry, '0x12345678'), /Unknown selector 0x12345678/);
+    });
+
+    it('decodes a log w/ its indexed topics', () => {
+      const topic = abiCoder.encodeEventSignature('Transfer(address,uint256)');
+      const decoded = decodeLog(registry, {
+        topics: [topic, abiCoder.encodeParameter('address', to)],
+        data: abiCoder.encodeParameter('uint256', '7'),
+      });
+      assert.equal(decoded.signature, 'Transfer(address,uint256)');
+      assert.equal(decoded.args.from.toLowerCase(), to);
+      assert.equal(decoded.args.value, '7');
+      assert.throws(() => decodeLog(registry, { topics: [topic], data: '0x' }), /The log doesn't match/);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const {
+  diffAbi,
+  diffArtifacts,
+  validateStableAbi,
+  breakingStableChanges,
+  formatAbiDiff,
+} = require('../js/abidiff');
+
+const fn = (name, inputs = [], outputs = [], stateMutability = 'nonpayable') => ({
+  type: 'function',
+  name,
+  inputs: inputs.map(type => ({ name: '', type })),
+  outputs: outputs.map(type => ({ name: '', type })),
+  stateMutability,
+});
+
+const event = (name, inputs) => ({
+  type: 'event',
+  name,
+  inputs: inputs.map(([type, indexed]) => ({ name: '', type, indexed })),
+  anonymous: false,
+});
+
+const artifact = (source, contractName, abi) => ({
+  artifact: { source, contractName, compilerOutput: { abi } },
+});
+
+describe('abidiff', () => {
+  describe('diffAbi', () => {
+    it('has no changes for the same abi', () => {
+      const abi = [fn('f', ['uint256']), event('E', [['address', true]])];
+      assert.deepEqual(diffAbi(abi, abi), []);
+    });
+
+    it('classifies the function changes', () => {
+      const changes = diffAbi(
+        [fn('a', ['uint256']), fn('b'), fn('c', [], ['uint256']), fn('d', [], [], 'view'), fn('e')],
+        [fn('a', ['address']), fn('b2'), fn('c', [], ['bool']), fn('d', [], [], 'nonpayable'), fn('e'), fn('f', ['bool'])],
+      );
+      assert.deepEqual(changes.map(c => [c.kind, c.item, c.message]), [
+        ['breaking', 'function a(uint256)', 'parameter types changed (uint256 -> address)'],
+        ['breaking', 'function b()', 'renamed to b2'],
+        ['additive', 'function f(bool)', 'added'],
+        ['breaking', 'function c()', 'return types changed (uint256 -> bool)'],
+        ['breaking', 'function d()', 'mutability changed (view -> nonpayable)'],
+      ]);
+    });
+
+    it('only breaks on more restrictive mutabilities', () => {
+      const [change] = diffAbi([fn('f', [], [], 'view')], [fn('f', [], [], 'pure')]);
+      assert.equal(change.kind, 'additive');
+      assert.equal(diffAbi([fn('f', [], [], 'payable')], [fn('f')])[0].kind, 'breaking');
+    });
+
+    it('classifies the event changes', () => {
+      const changes = diffAbi(
+        [event('A', [['address', true]]), event('B', [['uint256', false]])],
+        [event('A', [['address', false]]), event('B', [['uint256', false], ['bool', false]])],
+      );
+      assert.deepEqual(changes.map(c => c.message), [
+        'indexed flags changed (A(address))',
+        'signature changed (B(uint256,bool))',
+      ]);
+    });
+
+    it('diffs the constructor & fallback', () => {
+      const changes = diffAbi(
+        [{ type: 'constructor', inputs: [{ name: 'a', type: 'uint256' }] }],
+        [{ type: 'constructor', inputs: [] }, { type: 'fallback', payable: true }],
+      );
+      assert.deepEqual(changes.map(c => [c.kind, c.item, c.message]), [
+        ['breaking', 'constructor(uint256)', 'parameter types changed (uint256 -> )'],
+        ['additive', 'fallback', 'added'],
+      ]);
+    });
+  });
+
+  describe('diffArtifacts', () => {
+    const prev = [artifact('A.sol', 'A', [fn('f')]), artifact('B.sol', 'B', [])];
+    const next = [artifact('A.sol', 'A', []), artifact('C.sol', 'C', [])];
+
+    it('reports the added & removed contracts', () => {
+      const diffs = diffArtifacts(prev, next);
+      assert.deepEqual(diffs.map(d => [d.contract, d.changes.map(c => `${c.kind} ${c.item} ${c.message}`)]), [
+        ['A.sol:A', ['breaking function f() removed']],
+        ['C.sol:C', ['additive contract added']],
+        ['B.sol:B', ['breaking contract removed']],
+      ]);
+    });
+
+    it('only diffs the given sources', () => {
+      assert.deepEqual(diffArtifacts(prev, [artifact('A.sol', 'A', [fn('f')])], ['A.sol']), []);
+    });
+
+    it('finds the breaking changes of the stable contracts', () => {
+      const diffs = diffArtifacts(prev, next);
+      assert.deepEqual(breakingStableChanges(diffs, ['A']).map(d => d.contract), ['A.sol:A']);
+      assert.deepEqual(breakingStableChanges(diffs, ['C.sol:C']), []);
+      assert.ok(formatAbiDiff(diffs, ['A']).startsWith('A.sol:A (stable)\n  breaking  function f(): removed'));
+    });
+  });
+
+  describe('validateStableAbi', () => {
+    it('rejects anything but an array of names', () => {
+      validateStableAbi(['A', 'B.sol:B']);
+      assert.throws(() => validateStableAbi('A'), /stableAbi must be an array/);
+    });
+  });
+});
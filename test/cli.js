@@ -0,0 +1,20 @@
+const assert = require('assert');
+const { useFixture, runCli } = require('./helpers');
+
+describe('cli', () => {
+  useFixture('imports');
+
+  it('flattens w/o loading solc', () => {
+    const res = runCli(['flatten', './contracts/C.sol']);
+    assert.equal(res.status, 0, res.stderr);
+    assert.ok(res.stdout.includes('contract C is B {}'));
+    assert.equal(res.loadedSolc, false);
+  });
+
+  it('lists the bundled compiler', () => {
+    const res = runCli(['compilers', 'list', '--compilers-dir', 'compilers']);
+    assert.equal(res.status, 0, res.stderr);
+    assert.ok(/^solcjs {2}0\.4\.24/m.test(res.stdout), res.stdout);
+    assert.equal(res.loadedSolc, true);
+  });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { validateConstants, applyConstants, annotateConstants } = require('../js/constants');
+
+const ADDRESS = '0xde0B295669a9FD93d5F28D9Ec85E40f4cb697BAe';
+
+describe('constants', () => {
+  describe('validateConstants', () => {
+    it('accepts the values of each type', () => {
+      validateConstants({
+        MAX: { type: 'uint', value: 10 },
+        BIG: { type: 'uint', value: '0xff' },
+        OWNER: { type: 'address', value: ADDRESS },
+        HASH: { type: 'bytes32', value: `0x${'ab'.repeat(32)}` },
+        NAME: { type: 'string', value: 'token' },
+      });
+    });
+
+    it('rejects invalid names, types & values', () => {
+      assert.throws(() => validateConstants([]), /constants must be an object/);
+      assert.throws(() => validateConstants({ '1MAX': { type: 'uint', value: 1 } }), /Invalid constant name: 1MAX/);
+      assert.throws(() => validateConstants({ MAX: { type: 'int', value: 1 } }), /Unknown type for constants.MAX: int/);
+      assert.throws(() => validateConstants({ MAX: { type: 'uint', value: -1 } }), /constants.MAX must be an unsigned integer/);
+      assert.throws(() => validateConstants({ HASH: { type: 'bytes32', value: '0x12' } }), /must be 32 bytes as hex/);
+    });
+
+    it('requires checksummed addresses', () => {
+      assert.throws(
+        () => validateConstants({ OWNER: { type: 'address', value: ADDRESS.toLowerCase() } }),
+        new RegExp(`must be a checksummed address, ex. ${ADDRESS}`),
+      );
+    });
+  });
+
+  describe('applyConstants', () => {
+    const src = [
+      'contract A {',
+      '  uint8 public constant MAX = 10;',
+      '  address constant OWNER = 0x0;',
+      '  string internal constant NAME = "a;b";',
+      '  uint public LIMIT = 1;',
+      '}',
+    ].join('\n');
+
+    it('substitutes the values in the declarations', () => {
+      const { content, applied } = applyConstants(src, {
+        MAX: { type: 'uint', value: '0x20' },
+        OWNER: { type: 'address', value: ADDRESS },
+        NAME: { type: 'string', value: 'tök "en"' },
+        MISSING: { type: 'uint', value: 1 },
+      }, 'A.sol');
+
+      assert.equal(content, [
+        'contract A {',
+        '  uint8 public constant MAX = 32;',
+        `  address constant OWNER = ${ADDRESS};`,
+        '  string internal constant NAME = "t\\u00f6k \\"en\\"";',
+        '  uint public LIMIT = 1;',
+        '}',
+      ].join('\n'));
+      assert.deepEqual(Object.keys(applied), ['MAX', 'OWNER', 'NAME']);
+    });
+
+    it('only substitutes constants', () => {
+      const { content, applied } = applyConstants(src, { LIMIT: { type: 'uint', value: 2 } }, 'A.sol');
+      assert.equal(content, src);
+      assert.deepEqual(applied, {});
+    });
+
+    it('ignores the declarations in comments & strings', () => {
+      const commented = [
+        'contract A {',
+        '  // uint constant MAX = 1;',
+        '  /* uint constant MAX = 2; */',
+        '  string constant DOC = "uint constant MAX = 3;";',
+        '  uint constant MAX = 4;',
+        '}',
+      ].join('\n');
+      const { content } = applyConstants(commented, { MAX: { type: 'uint', value: 5 } }, 'A.sol');
+      assert.equal(content, commented.replace('MAX = 4', 'MAX = 5'));
+    });
+
+    it('fails on a type mismatch', () => {
+      assert.throws(
+        () => applyConstants(src, { OWNER: { type: 'uint', value: 1 } }, 'A.sol'),
+        /constants.OWNER is configured as uint, but A.sol declares it as address/,
+      );
+      assert.throws(
+        () => applyConstants(src, { MAX: { type: 'uint', value: 256 } }, 'A.sol'),
+        /constants.MAX doesn't fit in the uint8 A.sol declares it as/,
+      );
+    });
+  });
+
+  describe('annotateConstants', () => {
+    it('lists the substituted values above the source', () => {
+      const applied = { NAME: { type: 'string', value: 'a' }, MAX: { type: 'uint', value: 1 } };
+      assert.equal(
+        annotateConstants('contract A {}', applied),
+        '// constants substituted by solcpiler:\n//   MAX (uint) = 1\n//   NAME (string) = "a"\n\ncontract A {}',
+      );
+      assert.equal(annotateConstants('contract A {}', {}), 'contract A {}');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const {
+  printsMachineDiagnostics,
+  toDiagnostic,
+  formatDiagnostics,
+} = require('../js/diagnostics');
+const { useFixture, runCli } = require('./helpers');
+
+const content = '// é\ncontract A { uint x; }\n';
+const error = {
+  severity: 'warning',
+  type: 'Warning',
+  errorCode: '2072',
+  message: 'Unused <variable>',
+  formattedMessage: 'A.sol:2:14: Warning: Unused <variable>',
+  // the byte offsets of `uint x;`, the é is 2 bytes
+  sourceLocation: { file: 'A.sol', start: 19, end: 26 },
+};
+
+describe('diagnostics', () => {
+  describe('toDiagnostic', () => {
+    it('converts the byte offsets to lines & columns', () => {
+      const d = toDiagnostic(error, () => ({ file: 'contracts/A.sol', content }));
+      assert.deepEqual(
+        [d.file, d.line, d.column, d.endLine, d.endColumn],
+        ['contracts/A.sol', 2, 14, 2, 21],
+      );
+      assert.equal(d.code, '2072');
+    });
+
+    it('keeps the file of unknown sources', () => {
+      const d = toDiagnostic(error, () => undefined);
+      assert.equal(d.file, 'A.sol');
+      assert.equal(d.line, undefined);
+    });
+  });
+
+  describe('formatDiagnostics', () => {
+    const diagnostics = [toDiagnostic(error, () => ({ file: 'A.sol', content }))];
+
+    it('formats sarif', () => {
+      const sarif = JSON.parse(formatDiagnostics(diagnostics, 'sarif'));
+      const [result] = sarif.runs[0].results;
+      assert.equal(result.ruleId, '2072');
+      assert.equal(result.level, 'warning');
+      assert.deepEqual(result.locations[0].physicalLocation.region, {
+        startLine: 2, startColumn: 14, endLine: 2, endColumn: 21,
+      });
+    });
+
+    it('escapes checkstyle', () => {
+      const xml = formatDiagnostics(diagnostics, 'checkstyle');
+      assert.ok(xml.includes('<file name="A.sol">'));
+      assert.ok(xml.includes('message="Warning: Unused &lt;variable&gt;"'), xml);
+    });
+  });
+
+  describe('printsMachineDiagnostics', () => {
+    it('is only true for machine readable formats printed to the console', () => {
+      assert.equal(printsMachineDiagnostics({}), false);
+      assert.equal(printsMachineDiagnostics({ diagnosticsFormat: 'json' }), true);
+      assert.equal(printsMachineDiagnostics({ diagnosticsFormat: 'json', diagnosticsFile: 'a.json' }), false);
+    });
+  });
+
+  describe('cli', () => {
+    useFixture('warnings');
+
+    ['json', 'sarif'].forEach((format) => {
+      it(`only prints the ${format} diagnostics`, () => {
+        const res = runCli(['--diagnostics-format', format, '--force']);
+        assert.equal(res.status, 0, res.stderr);
+        const parsed = JSON.parse(res.stdout);
+        assert.ok(JSON.stringify(parsed).includes('Unused local variable'));
+      });
+    });
+  });
+});
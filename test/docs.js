@@ -0,0 +1,84 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const api = require('../js/api');
+const { parseNatspec, renderMarkdown, lineLink } = require('../js/docs');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+describe('docs', () => {
+  useFixture('minimal');
+
+  it('writes the docs w/o any compilerSettings', () =>
+    api.docs(fixtureOptions({ docsDir: 'docs' })).then((res) => {
+      const token = res.files.find(f => /Token\.md$/.test(f));
+      assert.ok(token, 'the docs of Token are written');
+
+      const md = fs.readFileSync(token, 'utf8');
+      assert.ok(md.includes('a minimal token'));
+      assert.ok(md.includes('transfers value tokens to to'));
+    }));
+});
+
+describe('docs rendering', () => {
+  it('parses the NatSpec tags', () => {
+    assert.deepEqual(parseNatspec({ text: 'sends tokens\n@dev checks the\n balance\n@param to the receiver\n@return success' }), {
+      notice: 'sends tokens',
+      dev: 'checks the balance',
+      params: { to: 'the receiver' },
+      returns: 'success',
+    });
+    assert.deepEqual(parseNatspec(undefined), { params: {} });
+  });
+
+  it('renders a contract as markdown', () => {
+    const md = renderMarkdown({
+      name: 'Token',
+      kind: 'contract',
+      source: 'contracts/Token.sol',
+      bases: ['Owned'],
+      title: 'a token',
+      functions: [{
+        name: 'transfer',
+        signature: 'function transfer(address to, uint value)',
+        selector: '0xa9059cbb',
+        mutability: 'nonpayable',
+        notice: 'sends tokens',
+        params: [{ name: 'to', type: 'address', description: 'the | receiver' }],
+        returns: [],
+        inheritedFrom: 'Base',
+      }],
+      events: [],
+      modifiers: [],
+    }, name => (name === 'Owned' ? 'Owned.md' : undefined));
+
+    assert.equal(md, [
+      '# Token',
+      '',
+      'contract in `contracts/Token.sol`',
+      '',
+      'Inherits: [Owned](Owned.md)',
+      '',
+      '**a token**',
+      '',
+      '## Functions',
+      '',
+      '### transfer',
+      '',
+      '`function transfer(address to, uint value)`',
+      '',
+      'selector `0xa9059cbb` · nonpayable · inherited from Base',
+      '',
+      'sends tokens',
+      '',
+      '| Parameter | Type | Description |',
+      '| --- | --- | --- |',
+      '| to | `address` | the \\| receiver |',
+      '',
+    ].join('\n'));
+  });
+
+  it('links to a line relative to the docs', () => {
+    const file = path.join('project', 'contracts', 'Token.sol');
+    assert.equal(lineLink(path.join('project', 'docs'), { file, line: 3 }), '../contracts/Token.sol#L3');
+  });
+});
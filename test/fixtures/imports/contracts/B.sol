@@ -0,0 +1,5 @@
+pragma solidity ^0.4.24;
+
+import "./lib/A.sol";
+
+contract B is A {}
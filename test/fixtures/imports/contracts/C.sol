@@ -0,0 +1,6 @@
+pragma solidity ^0.4.24;
+
+import "contracts/lib/A.sol";
+import "./B.sol";
+
+contract C is B {}
@@ -0,0 +1,3 @@
+pragma solidity ^0.4.24;
+
+contract A {}
@@ -0,0 +1,15 @@
+pragma solidity ^0.4.24;
+
+import "./lib/Owned.sol";
+
+/// @title a minimal token
+contract Token is Owned {
+  mapping(address => uint) public balances;
+
+  /// @notice transfers value tokens to to
+  function transfer(address to, uint value) public {
+    require(balances[msg.sender] >= value);
+    balances[msg.sender] -= value;
+    balances[to] += value;
+  }
+}
@@ -0,0 +1,10 @@
+pragma solidity ^0.4.24;
+
+contract Owned {
+  address public owner;
+  uint public constant MAX_OWNERS = 1;
+
+  constructor() public {
+    owner = msg.sender;
+  }
+}
@@ -0,0 +1,8 @@
+pragma solidity ^0.4.24;
+
+contract Warn {
+  function f() public pure returns (uint) {
+    uint unused;
+    return 1;
+  }
+}
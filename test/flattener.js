@@ -0,0 +1,66 @@
+const assert = require('assert');
+const api = require('../js/api');
+const { flatten } = require('../js/flattener');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+describe('flattener', () => {
+  describe('flatten', () => {
+    it('merges the pragmas & licenses of all files', () => {
+      const flattened = flatten([
+        { name: 'A.sol', source: '// SPDX-License-Identifier: MIT\npragma solidity >=0.4.24;\npragma experimental ABIEncoderV2;\n\ncontract A {}\n' },
+        { name: 'B.sol', source: '// SPDX-License-Identifier: MIT\npragma solidity <0.6.0;\nimport "./A.sol";\n\ncontract B is A {}\n' },
+      ]);
+
+      assert.equal(flattened, [
+        '// SPDX-License-Identifier: MIT',
+        'pragma solidity >=0.4.24 <0.6.0;',
+        'pragma experimental ABIEncoderV2;',
+        '',
+        'contract A {}',
+        '',
+        'contract B is A {}',
+        '',
+      ].join('\n'));
+    });
+
+    it('replaces the import aliases', () => {
+      const flattened = flatten([
+        { name: 'A.sol', source: 'contract A {}' },
+        { name: 'B.sol', source: 'import * as Lib from "./A.sol";\nimport { A as Base } from "./A.sol";\ncontract B is Base { Lib.A a; }' },
+      ]);
+      assert.ok(flattened.endsWith('contract A {}\n\ncontract B is A { A a; }\n'), flattened);
+    });
+
+    it('inserts the file names', () => {
+      const files = [{ name: 'A.sol', source: 'contract A {}' }];
+      assert.ok(flatten(files, { insertFileNames: 'all' }).includes('/* file: A.sol */'));
+      assert.ok(!flatten(files, { insertFileNames: 'imports' }).includes('/* file: A.sol */'));
+    });
+
+    it('rejects incompatible pragmas & conflicting licenses', () => {
+      assert.throws(() => flatten([
+        { name: 'A.sol', source: 'pragma solidity ^0.4.24;' },
+        { name: 'B.sol', source: 'pragma solidity ^0.5.0;' },
+      ]), /Incompatible solidity pragmas: A.sol requires \^0.4.24, but B.sol requires \^0.5.0/);
+      assert.throws(() => flatten([
+        { name: 'A.sol', source: '// SPDX-License-Identifier: MIT' },
+        { name: 'B.sol', source: '// SPDX-License-Identifier: GPL-3.0' },
+      ]), /Conflicting SPDX licenses: MIT \(A.sol\), GPL-3.0 \(B.sol\)/);
+    });
+  });
+
+  describe('flattening a project', () => {
+    useFixture('imports');
+
+    // C.sol imports "contracts/lib/A.sol" & B.sol imports "./lib/A.sol"
+    it('inlines a file imported under different paths once', () =>
+      api.flatten('./contracts/C.sol', fixtureOptions()).then((flattened) => {
+        assert.equal(flattened.match(/contract A \{\}/g).length, 1, flattened);
+      }));
+
+    it('builds w/ a file imported under different paths', () =>
+      api.run(fixtureOptions()).then((res) => {
+        assert.deepEqual(res.compiled.sort(), ['./contracts/B.sol', './contracts/C.sol', './contracts/lib/A.sol']);
+      }));
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const CLI = path.join(__dirname, '..', 'js', 'cli.js');
+
+/**
+ * runs the cli in a new process, so the modules it loads can be checked
+ *
+ * @returns {object} { status, stdout, stderr, loadedSolc } w/ loadedSolc whether the bundled
+ *                   soljson was loaded
+ */
+const runCli = (args) => {
+  const script = `
+    process.on('exit', () => {
+      const loaded = Object.keys(require.cache).some(f => /soljson\\.js$/.test(f));
+      process.stderr.write(\`\\nloadedSolc: \${loaded}\\n\`);
+    });
+    process.argv = process.argv.slice(0, 1).concat(${JSON.stringify([CLI].concat(args))});
+    require(${JSON.stringify(CLI)});
+  `;
+  const res = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 });
+  return Object.assign(res, { loadedSolc: /loadedSolc: true/.test(res.stderr) });
+};
+
+/**
+ * copies a fixture project to a tmp dir & makes it the cwd for the tests of the suite, as
+ * solcpiler resolves the sources & output dirs from the cwd
+ *
+ * @param {string} name the fixture in test/fixtures
+ * @returns {object} { dir } w/ dir the tmp dir, set once the suite starts
+ */
+const useFixture = (name) => {
+  const project = {};
+  const cwd = process.cwd();
+
+  before(() => {
+    project.dir = fs.mkdtempSync(path.join(os.tmpdir(), `solcpiler-${name}-`));
+    fs.cpSync(path.join(FIXTURES, name), project.dir, { recursive: true });
+    process.chdir(project.dir);
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(project.dir, { recursive: true, force: true });
+  });
+
+  return project;
+};
+
+/**
+ * @param {object} opts the options for the test
+ * @returns {object} the options, w/ the defaults for the fixtures
+ */
+const fixtureOptions = opts => Object.assign({
+  input: ['./contracts/**/*.sol'],
+  outputSolDir: 'build',
+  outputArtifactsDir: 'build',
+  createdir: true,
+  quiet: true,
+}, opts);
+
+module.exports = {
+  useFixture,
+  fixtureOptions,
+  runCli,
+};
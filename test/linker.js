@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { linkBytecode, validateLibraries } = require('../js/linker');
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const PLACEHOLDER = '__lib/Math.sol:Math'.padEnd(40, '_');
+
+describe('linker', () => {
+  describe('linkBytecode', () => {
+    const bytecode = `0x6060${PLACEHOLDER}6000${PLACEHOLDER}`;
+    const linkReferences = {
+      'lib/Math.sol': { Math: [{ start: 2, length: 20 }, { start: 24, length: 20 }] },
+    };
+
+    it('replaces every placeholder of a library w/ its address', () => {
+      const res = linkBytecode(bytecode, linkReferences, { Math: ADDRESS });
+      const address = ADDRESS.slice(2).toLowerCase();
+      assert.equal(res.bytecode, `0x6060${address}6000${address}`);
+      assert.deepEqual(res.linked, { 'lib/Math.sol:Math': `0x${address}` });
+      assert.deepEqual(res.unlinked, []);
+    });
+
+    it('prefers the address of the fully qualified library name', () => {
+      const other = `0x${'1'.repeat(40)}`;
+      const res = linkBytecode(bytecode, linkReferences, { Math: other, 'lib/Math.sol:Math': ADDRESS });
+      assert.equal(res.linked['lib/Math.sol:Math'], ADDRESS.toLowerCase());
+    });
+
+    it('reports the libraries w/o an address', () => {
+      const res = linkBytecode(bytecode.slice(2), linkReferences, {});
+      assert.equal(res.bytecode, bytecode.slice(2));
+      assert.deepEqual(res.unlinked, ['lib/Math.sol:Math']);
+    });
+
+    it('rejects invalid addresses', () => {
+      assert.throws(() => linkBytecode(bytecode, linkReferences, { Math: '0x1234' }), /Invalid address for library Math/);
+    });
+  });
+
+  describe('validateLibraries', () => {
+    it('accepts the addresses by network', () => {
+      validateLibraries({ mainnet: { Math: ADDRESS } }, 'mainnet');
+    });
+
+    it('rejects invalid addresses & unknown networks', () => {
+      assert.throws(() => validateLibraries({ mainnet: { Math: 'x' } }), /libraries.mainnet.Math must be an address/);
+      assert.throws(() => validateLibraries({ mainnet: {} }, 'ropsten'), /No libraries configured for network "ropsten"/);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const api = require('../js/api');
+const BuildManifest = require('../js/manifest');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+describe('manifest', () => {
+  describe('staleReason', () => {
+    const entry = {
+      solcVersion: '0.4.24',
+      settingsHash: '0x1',
+      constantsHash: '0x2',
+      librariesHash: '0x3',
+      artifactLayout: 'flat',
+      artifactFormats: { solcpiler: 'build' },
+      dependencies: { 'A.sol': '0x4' },
+    };
+    let dir;
+    let manifest;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solcpiler-manifest-'));
+      manifest = new BuildManifest(dir);
+      manifest.update('A.sol', entry);
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('is up to date w/ the same entry', () => {
+      assert.equal(manifest.staleReason('A.sol', entry), undefined);
+      assert.equal(manifest.staleReason('B.sol', entry), 'not previously compiled');
+    });
+
+    it('reports what changed', () => {
+      const changed = changes => manifest.staleReason('A.sol', Object.assign({}, entry, changes));
+      assert.equal(changed({ solcVersion: '0.4.25' }), 'compiler changed (0.4.24 -> 0.4.25)');
+      assert.equal(changed({ settingsHash: '0x5' }), 'compiler settings changed');
+      assert.equal(changed({ artifactLayout: 'namespaced' }), 'artifact layout changed (flat -> namespaced)');
+      assert.equal(changed({ artifactFormats: { solcpiler: 'build', truffle: 'build/truffle' } }), 'artifact formats changed');
+      assert.equal(changed({ artifactFormats: { solcpiler: 'out' } }), 'artifact formats changed');
+      assert.equal(changed({ dependencies: { 'A.sol': '0x5' } }), 'sources changed (A.sol)');
+    });
+
+    it('survives a save & load', () => {
+      manifest.save();
+      assert.equal(new BuildManifest(dir).staleReason('A.sol', entry), undefined);
+    });
+  });
+
+  describe('rebuilding', () => {
+    useFixture('minimal');
+
+    it('rewrites the artifacts when the artifactLayout changes', () =>
+      api.run(fixtureOptions())
+        .then(() => api.run(fixtureOptions({ artifactLayout: 'namespaced' })))
+        .then((res) => {
+          assert.deepEqual(res.compiled.sort(), ['./contracts/Token.sol', './contracts/lib/Owned.sol']);
+          assert.ok(res.artifacts.some(a => /contracts\/Token\.sol\/Token\.json$/.test(a)), res.artifacts.join(', '));
+          res.artifacts.forEach(a => assert.ok(fs.existsSync(a), a));
+        }));
+
+    it('writes the artifacts of the formats added after a build', () =>
+      api.run(fixtureOptions())
+        .then(() => api.run(fixtureOptions({ artifactFormats: ['solcpiler', 'truffle', 'hardhat'] })))
+        .then((res) => {
+          assert.equal(res.compiled.length, 2);
+          ['build/truffle/Token.json', 'build/hardhat/contracts/Token.sol/Token.json'].forEach((a) => {
+            assert.ok(fs.existsSync(a), `${a} is written`);
+          });
+        }));
+  });
+});
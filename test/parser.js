@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { tokenize, parse } = require('../js/parser');
+
+describe('parser', () => {
+  describe('tokenize', () => {
+    it('splits comments, strings & punctuation', () => {
+      const tokens = tokenize('uint x = 0x1f; // "not a string"\nstring s = \'a\\\'b\';');
+      assert.deepEqual(tokens.map(t => [t.type, t.value]), [
+        ['identifier', 'uint'],
+        ['identifier', 'x'],
+        ['punctuation', '='],
+        ['number', '0x1f'],
+        ['punctuation', ';'],
+        ['comment', '// "not a string"'],
+        ['identifier', 'string'],
+        ['identifier', 's'],
+        ['punctuation', '='],
+        ['string', 'a\'b'],
+        ['punctuation', ';'],
+      ]);
+    });
+
+    it('records the offsets of the tokens', () => {
+      const [comment, id] = tokenize('/* a */ b');
+      assert.deepEqual([comment.start, comment.end, id.start, id.end], [0, 7, 8, 9]);
+    });
+  });
+
+  describe('parse', () => {
+    it('parses all forms of imports', () => {
+      const { imports } = parse([
+        'import "./A.sol";',
+        'import "./B.sol" as B;',
+        'import * as C from "./C.sol";',
+        'import { D, E as F } from "./D.sol";',
+        'import G from "./G.sol";',
+      ].join('\n'));
+
+      assert.deepEqual(imports.map(i => [i.path, i.unitAlias, i.symbols]), [
+        ['./A.sol', undefined, []],
+        ['./B.sol', 'B', []],
+        ['./C.sol', 'C', []],
+        ['./D.sol', undefined, [{ symbol: 'D', alias: undefined }, { symbol: 'E', alias: 'F' }]],
+        ['./G.sol', 'G', []],
+      ]);
+    });
+
+    it('ignores imports in comments & strings', () => {
+      const { imports } = parse([
+        '// import "./A.sol";',
+        '/* import "./B.sol"; */',
+        'contract C { string s = "import \'./D.sol\';"; }',
+      ].join('\n'));
+      assert.deepEqual(imports, []);
+    });
+
+    it('parses the pragmas & the license', () => {
+      const source = '// SPDX-License-Identifier: MIT\npragma solidity >=0.4.24 <0.6.0;\npragma experimental ABIEncoderV2;';
+      const { pragmas, license } = parse(source);
+      assert.equal(license, 'MIT');
+      assert.deepEqual(pragmas.map(p => [p.name, p.value]), [
+        ['solidity', '>=0.4.24 <0.6.0'],
+        ['experimental', 'ABIEncoderV2'],
+      ]);
+    });
+
+    it('parses the contracts & their bases', () => {
+      const source = [
+        'library L { function f() internal {} }',
+        'interface I {}',
+        'abstract contract A is I {}',
+        'contract C is A, Owned(msg.sender) { struct S { uint x; } }',
+      ].join('\n');
+      const { contracts } = parse(source);
+
+      assert.deepEqual(contracts.map(c => [c.kind, c.name, c.abstract, c.bases]), [
+        ['library', 'L', false, []],
+        ['interface', 'I', false, []],
+        ['contract', 'A', true, ['I']],
+        ['contract', 'C', false, ['A', 'Owned']],
+      ]);
+      const c = contracts[3];
+      assert.equal(source.slice(c.start, c.end), 'contract C is A, Owned(msg.sender) { struct S { uint x; } }');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const fs = require('fs');
+const api = require('../js/api');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+describe('rebuild', () => {
+  useFixture('minimal');
+
+  // Owned.sol is only compiled as an import of Token.sol
+  const opts = fixtureOptions({
+    input: ['./contracts/Token.sol'],
+    constants: { MAX_OWNERS: { type: 'uint', value: 3 } },
+  });
+
+  before(() => api.run(opts));
+
+  it('records the constants substituted in the imports', () => {
+    const artifact = JSON.parse(fs.readFileSync('build/Token.json', 'utf8'));
+    assert.deepEqual(artifact.constants, { MAX_OWNERS: { type: 'uint', value: 3 } });
+    assert.ok(fs.readFileSync('build/Token_all.sol', 'utf8').includes('//   MAX_OWNERS (uint) = 3'));
+  });
+
+  it('rebuilds a contract w/ constants in its imports', () =>
+    api.rebuild(opts, 'build/Token.json').then((res) => {
+      assert.equal(res.result, 'match');
+    }));
+});
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseRemapping,
+  formatRemapping,
+  loadRemappings,
+  applyRemappings,
+} = require('../js/remappings');
+
+describe('remappings', () => {
+  describe('parseRemapping', () => {
+    it('parses a remapping w/ & w/o context', () => {
+      assert.deepEqual(parseRemapping('oz/=node_modules/oz/'), { context: '', prefix: 'oz/', target: 'node_modules/oz/' });
+      assert.deepEqual(parseRemapping('lib:oz/=vendor/oz/'), { context: 'lib', prefix: 'oz/', target: 'vendor/oz/' });
+    });
+
+    it('rejects a remapping w/o prefix', () => {
+      assert.throws(() => parseRemapping('=target'), /Invalid remapping: =target/);
+      assert.throws(() => parseRemapping('oz/'), /Invalid remapping: oz\//);
+    });
+
+    it('formats a parsed remapping back', () => {
+      ['oz/=node_modules/oz/', 'lib:oz/=vendor/oz/'].forEach((r) => {
+        assert.equal(formatRemapping(parseRemapping(r)), r);
+      });
+    });
+  });
+
+  describe('loadRemappings', () => {
+    let dir;
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solcpiler-remappings-'));
+      fs.writeFileSync(path.join(dir, 'remappings.txt'), '# comment\nds-test/=lib/ds-test/src/\n\n');
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('loads remappings.txt before the configured remappings', () => {
+      assert.deepEqual(loadRemappings(['oz/=node_modules/oz/'], dir).map(formatRemapping), [
+        'ds-test/=lib/ds-test/src/',
+        'oz/=node_modules/oz/',
+      ]);
+    });
+
+    it('rejects remappings that aren\'t an array', () => {
+      assert.throws(() => loadRemappings('oz/=x/', dir), /remappings must be an array/);
+    });
+  });
+
+  describe('applyRemappings', () => {
+    const remappings = ['a/=x/', 'a/b/=y/', 'c:a/=z/', 'a/=w/'].map(parseRemapping);
+
+    it('uses the longest prefix, then the last remapping', () => {
+      assert.equal(applyRemappings(remappings, 'a/b/C.sol', 'D.sol'), 'y/C.sol');
+      assert.equal(applyRemappings(remappings, 'a/C.sol', 'D.sol'), 'w/C.sol');
+    });
+
+    it('prefers the longest matching context', () => {
+      assert.equal(applyRemappings(remappings, 'a/b/C.sol', 'c/D.sol'), 'z/b/C.sol');
+    });
+
+    it('leaves unmatched imports as is', () => {
+      assert.equal(applyRemappings(remappings, 'b/C.sol', 'D.sol'), 'b/C.sol');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const api = require('../js/api');
+const {
+  EIP170_LIMIT,
+  validateSizeLimit,
+  resolveSizeLimit,
+  contractSizes,
+  oversized,
+  formatSizeReport,
+} = require('../js/report');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+describe('report', () => {
+  describe('sizeLimit', () => {
+    it('defaults to the EIP-170 limit & is disabled w/ false or 0', () => {
+      assert.equal(resolveSizeLimit({}), EIP170_LIMIT);
+      assert.equal(resolveSizeLimit({ sizeLimit: 100 }), 100);
+      assert.equal(resolveSizeLimit({ sizeLimit: false }), undefined);
+      assert.equal(resolveSizeLimit({ sizeLimit: 0 }), undefined);
+    });
+
+    it('rejects invalid limits', () => {
+      assert.throws(() => validateSizeLimit('24k'), /Invalid sizeLimit: 24k/);
+      assert.throws(() => validateSizeLimit(-1), /Invalid sizeLimit: -1/);
+    });
+  });
+
+  describe('contractSizes', () => {
+    const output = {
+      contracts: {
+        'A.sol': {
+          A: { evm: { bytecode: { object: '60606060' }, deployedBytecode: { object: '6060' } } },
+          I: { evm: { bytecode: { object: '' }, deployedBytecode: { object: '' } } },
+        },
+        'lib/B.sol': { B: { evm: { bytecode: { object: '60' }, deployedBytecode: { object: '60' } } } },
+      },
+    };
+
+    it('only reports the contracts of the root sources w/ bytecode', () => {
+      assert.deepEqual(contractSizes(output, ['A.sol']), [{
+        source: 'A.sol', contractName: 'A', deployedSize: 2, initSize: 4, gas: undefined,
+      }]);
+    });
+
+    it('finds the contracts over the limit', () => {
+      const sizes = contractSizes(output, ['A.sol', 'lib/B.sol']);
+      assert.deepEqual(oversized(sizes, 1).map(c => c.contractName), ['A']);
+      assert.deepEqual(oversized(sizes, undefined), []);
+    });
+
+    it('reports the difference to the previous build', () => {
+      const report = formatSizeReport(contractSizes(output, ['A.sol', 'lib/B.sol']), (source) => {
+        if (source === 'A.sol') return { deployedSize: 3, initSize: 4 };
+        return undefined;
+      }, 1);
+      assert.ok(/^A\.sol:A\s+2!\s+-1\s+4\s+0$/m.test(report), report);
+      assert.ok(/^lib\/B\.sol:B\s+1\s+new\s+1\s+new$/m.test(report), report);
+    });
+  });
+
+  describe('building', () => {
+    useFixture('minimal');
+
+    it('reports the gas estimates w/o any compilerSettings', () =>
+      api.run(fixtureOptions({ gasReport: true })).then((res) => {
+        const token = res.sizes.find(s => s.contractName === 'Token');
+        assert.ok(token, 'Token is in the report');
+        assert.ok(token.gas, 'the gas estimates are selected');
+        assert.ok(token.gas.creation);
+        assert.ok(token.gas.external['transfer(address,uint256)']);
+      }));
+  });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const {
+  DEFAULT_OUTPUT_SELECTION,
+  validateSettings,
+  mergeSettings,
+  resolveSettings,
+} = require('../js/settings');
+
+describe('settings', () => {
+  describe('validateSettings', () => {
+    it('accepts valid settings', () => {
+      validateSettings({
+        optimizer: { enabled: false, runs: 10 },
+        evmVersion: 'byzantium',
+        metadata: { useLiteralContent: false },
+        outputSelection: ['devdoc'],
+        overrides: [{ contracts: ['Token'], optimizer: { runs: 1000 } }],
+      });
+    });
+
+    it('rejects unknown settings', () => {
+      assert.throws(() => validateSettings({ optimiser: {} }), /unknown setting: optimiser/);
+    });
+
+    it('rejects invalid values', () => {
+      assert.throws(() => validateSettings({ optimizer: { runs: 0 } }), /optimizer.runs must be a positive integer/);
+      assert.throws(() => validateSettings({ evmVersion: 'frontier' }), /evmVersion must be one of/);
+      assert.throws(() => validateSettings({ outputSelection: ['bytecode'] }), /unknown output: bytecode/);
+    });
+
+    it('validates the overrides', () => {
+      assert.throws(() => validateSettings({ overrides: [{ optimizer: {} }] }), /overrides\[0\] must specify sources and\/or contracts/);
+      assert.throws(
+        () => validateSettings({ overrides: [{ sources: ['A.sol'], overrides: [] }] }),
+        /overrides\[0\] contains an unknown setting: overrides/,
+      );
+    });
+  });
+
+  describe('mergeSettings', () => {
+    it('merges the optimizer by key', () => {
+      const merged = mergeSettings(
+        { optimizer: { enabled: true, runs: 200 } },
+        { optimizer: { runs: 1 } },
+      );
+      assert.deepEqual(merged.optimizer, { enabled: true, runs: 1 });
+    });
+
+    it('adds an outputSelection array to the selected outputs', () => {
+      const merged = mergeSettings(
+        { outputSelection: { '*': { '*': ['abi'] } } },
+        { outputSelection: ['devdoc'] },
+      );
+      assert.deepEqual(merged.outputSelection, { '*': { '*': ['abi', 'devdoc'] } });
+    });
+
+    it('adds an outputSelection array to the default outputs if none are selected', () => {
+      const merged = mergeSettings({}, { outputSelection: ['devdoc'] });
+      assert.deepEqual(merged.outputSelection, { '*': { '*': DEFAULT_OUTPUT_SELECTION.concat('devdoc') } });
+    });
+  });
+
+  describe('resolveSettings', () => {
+    it('applies the overrides matching the contracts of a source', () => {
+      const settings = resolveSettings({
+        optimizer: { runs: 500 },
+        overrides: [{ contracts: ['Token'], optimizer: { runs: 1 } }],
+      }, 'Token.sol', ['Token']);
+      assert.equal(settings.optimizer.runs, 1);
+      assert.equal(settings.overrides, undefined);
+    });
+
+    it('ignores the overrides w/o a source', () => {
+      const settings = resolveSettings({
+        overrides: [{ contracts: ['Token'], optimizer: { runs: 1 } }],
+      });
+      assert.equal(settings.optimizer.runs, 200);
+    });
+  });
+});
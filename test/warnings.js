@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { validateWarnings, disabledLines, applyWarningPolicy } = require('../js/warnings');
+
+const warning = (code, message, file, line) => ({
+  severity: 'warning', type: 'Warning', code, message, file, line,
+});
+
+describe('warnings', () => {
+  describe('validateWarnings', () => {
+    it('accepts the suppression rules', () => {
+      validateWarnings({ asErrors: true, suppress: [{ code: '2072' }, { message: 'Unused', file: 'lib/**' }] });
+    });
+
+    it('rejects invalid rules', () => {
+      assert.throws(() => validateWarnings({ suppress: {} }), /warnings.suppress must be an array/);
+      assert.throws(() => validateWarnings({ suppress: [{}] }), /Invalid warnings.suppress rule: \{\}/);
+      assert.throws(() => validateWarnings({ suppress: [{ line: 1 }] }), /Invalid warnings.suppress rule/);
+      assert.throws(() => validateWarnings({ suppress: [{ message: '(' }] }), /Invalid warnings.suppress message pattern: \(/);
+    });
+  });
+
+  describe('disabledLines', () => {
+    it('finds the lines disabled by the comments', () => {
+      const content = [
+        'contract A {',
+        '  // solcpiler-disable-next-line',
+        '  uint a;',
+        '  // solcpiler-disable-next-line 2072, 5667',
+        '  uint b;',
+        '}',
+      ].join('\n');
+      assert.deepEqual(disabledLines(content), { 3: [], 5: ['2072', '5667'] });
+    });
+  });
+
+  describe('applyWarningPolicy', () => {
+    const contents = { 'A.sol': '// solcpiler-disable-next-line 2072\nuint a;\nuint b;' };
+    const contentOf = f => contents[f];
+
+    it('suppresses the warnings matching a rule or disabled inline', () => {
+      const diagnostics = [
+        warning('2072', 'Unused local variable', 'A.sol', 2),
+        warning('2072', 'Unused local variable', 'A.sol', 3),
+        warning('5667', 'Unused function parameter', 'lib/B.sol', 1),
+        warning('5667', 'Unused function parameter', 'C.sol', 1),
+      ];
+      const res = applyWarningPolicy(diagnostics, { suppress: [{ code: 5667, file: 'lib/**' }] }, contentOf);
+
+      assert.deepEqual(res.suppressed, [diagnostics[0], diagnostics[2]]);
+      assert.deepEqual(res.diagnostics, [diagnostics[1], diagnostics[3]]);
+    });
+
+    it('never suppresses errors', () => {
+      const error = Object.assign(warning('2072', 'x', 'A.sol', 2), { severity: 'error' });
+      assert.deepEqual(applyWarningPolicy([error], { suppress: [{ code: '2072' }] }, contentOf).diagnostics, [error]);
+    });
+
+    it('turns the remaining warnings into errors w/ asErrors', () => {
+      const res = applyWarningPolicy(
+        [warning('2072', 'x', 'A.sol', 2), warning('2072', 'x', 'A.sol', 3)],
+        { asErrors: true },
+        contentOf,
+      );
+      assert.deepEqual(res.diagnostics.map(d => [d.line, d.severity]), [[3, 'error']]);
+    });
+  });
+});
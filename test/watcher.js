@@ -0,0 +1,48 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const api = require('../js/api');
+const { useFixture, fixtureOptions } = require('./helpers');
+
+const waitForBuild = (watcher, started = Date.now()) => new Promise((resolve) => {
+  setTimeout(resolve, 300);
+}).then(() => {
+  if (!watcher.building && !watcher.pending.size) return undefined;
+  if (Date.now() - started > 30000) throw new Error('the build didn\'t finish');
+  return waitForBuild(watcher, started);
+});
+
+describe('watcher', () => {
+  const project = useFixture('minimal');
+  let watcher;
+  let errors;
+  const { error } = console;
+
+  beforeEach(() => {
+    errors = [];
+    console.error = e => errors.push(e);
+    return api.watch(fixtureOptions()).then((w) => {
+      watcher = w;
+      assert.deepEqual(errors, []);
+    });
+  });
+
+  afterEach(() => {
+    watcher.close();
+    console.error = error;
+  });
+
+  it('keeps watching when a source imports a missing file', () => {
+    const token = path.join(project.dir, 'contracts', 'Token.sol');
+    const src = fs.readFileSync(token, 'utf8');
+    fs.writeFileSync(token, src.replace('import "./lib/Owned.sol";', 'import "./lib/Owned.sol";\nimport "./Missing.sol";'));
+    watcher.onChange(token);
+
+    return waitForBuild(watcher).then(() => {
+      assert.ok(errors.some(e => /Missing source for import "\.\/Missing\.sol"/.test(e.message)));
+      assert.ok(watcher.fileWatchers[token], 'Token.sol is still watched');
+      assert.ok(watcher.fileWatchers[path.join(project.dir, 'contracts', 'lib', 'Owned.sol')]);
+      fs.writeFileSync(token, src);
+    });
+  });
+});